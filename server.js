@@ -2,6 +2,9 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const musicMetadata = require('music-metadata');
 
 const app = express();
 const server = http.createServer(app);
@@ -32,27 +35,789 @@ function startRenderSelfPing() {
   }
 }
 
+// ✅ KALICI DEPOLAMA AYARLARI
+const STORE_DRIVER = process.env.STORE_DRIVER || 'file';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const EMPTY_ROOM_TTL = parseInt(process.env.EMPTY_ROOM_TTL_MS, 10) || 600000;
+const STORE_FLUSH_DELAY = 1000;
+
+// Odalar, mesaj geçmişi ve playlist'ler bu Map'lerde tutulur.
+// FileStore aynı Map'leri kullanır, değişen odaları ayrıca diske yazar.
+class MemoryStore {
+  constructor(options = {}) {
+    this.rooms = new Map();
+    this.messages = new Map();
+    this.playlists = new Map();
+    this.emptySince = new Map();
+    this.emptyRoomTtl = options.emptyRoomTtl || EMPTY_ROOM_TTL;
+    this.sweepTimer = null;
+  }
+
+  async load() {}
+
+  persist(roomCode) {}
+
+  async flush() {}
+
+  deleteRoom(roomCode) {
+    this.rooms.delete(roomCode);
+    this.messages.delete(roomCode);
+    this.playlists.delete(roomCode);
+    this.emptySince.delete(roomCode);
+  }
+
+  markRoomEmpty(roomCode) {
+    if (!this.emptySince.has(roomCode)) {
+      this.emptySince.set(roomCode, Date.now());
+    }
+  }
+
+  markRoomActive(roomCode) {
+    this.emptySince.delete(roomCode);
+  }
+
+  // Boş kalma süresi TTL'i aşan odaları siler
+  sweepExpiredRooms(onExpire) {
+    const now = Date.now();
+
+    for (const [roomCode, since] of this.emptySince.entries()) {
+      const room = this.rooms.get(roomCode);
+
+      if (room && room.users.size > 0) {
+        this.emptySince.delete(roomCode);
+        continue;
+      }
+
+      if (now - since >= this.emptyRoomTtl) {
+        this.deleteRoom(roomCode);
+        if (onExpire) onExpire(roomCode);
+      }
+    }
+  }
+
+  startSweeper(onExpire) {
+    const interval = Math.max(1000, Math.min(60000, Math.floor(this.emptyRoomTtl / 2)));
+    this.sweepTimer = setInterval(() => this.sweepExpiredRooms(onExpire), interval);
+  }
+}
+
+class FileStore extends MemoryStore {
+  constructor(options = {}) {
+    super(options);
+    this.dir = path.join(options.dataDir || DATA_DIR, 'rooms');
+    this.dirty = new Set();
+    this.deleted = new Set();
+    this.flushTimer = null;
+  }
+
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const files = await fs.promises.readdir(this.dir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const snapshot = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'));
+        const room = deserializeRoom(snapshot.room);
+
+        // Eski kayıtlardaki düz metin şifreler hash'e çevrilir
+        if (room.password) {
+          room.passwordHash = await hashPassword(room.password);
+          delete room.password;
+          this.dirty.add(room.code);
+        }
+
+        this.rooms.set(room.code, room);
+        this.messages.set(room.code, snapshot.messages || []);
+        this.playlists.set(room.code, new Map(snapshot.playlist || []));
+        // Yeniden başlatma sonrası TTL baştan sayılır
+        this.emptySince.set(room.code, Date.now());
+      } catch (error) {
+        console.error('❌ Store load error:', file, error.message);
+      }
+    }
+
+    if (this.dirty.size > 0) this.scheduleFlush();
+    console.log(`💾 ${this.rooms.size} oda diskten yüklendi`);
+  }
+
+  persist(roomCode) {
+    this.dirty.add(roomCode);
+    this.scheduleFlush();
+  }
+
+  deleteRoom(roomCode) {
+    super.deleteRoom(roomCode);
+    this.dirty.delete(roomCode);
+    this.deleted.add(roomCode);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => console.error('❌ Store flush error:', error));
+    }, STORE_FLUSH_DELAY);
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    const dirty = Array.from(this.dirty);
+    const deleted = Array.from(this.deleted);
+    this.dirty.clear();
+    this.deleted.clear();
+
+    for (const roomCode of dirty) {
+      const room = this.rooms.get(roomCode);
+      if (!room) continue;
+
+      const snapshot = {
+        room: serializeRoom(room),
+        messages: this.messages.get(roomCode) || [],
+        playlist: Array.from((this.playlists.get(roomCode) || new Map()).entries())
+      };
+
+      // Yarım yazılmış dosya kalmaması için önce geçici dosyaya yaz
+      const filePath = path.join(this.dir, `${roomCode}.json`);
+      await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(snapshot));
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+
+    for (const roomCode of deleted) {
+      await fs.promises.rm(path.join(this.dir, `${roomCode}.json`), { force: true });
+    }
+  }
+}
+
+// Soket bağlantısına ait alanlar diske yazılmaz
+function serializeRoom(room) {
+  const { users, screenShares, ...data } = room;
+  if (data.playbackState) {
+    data.playbackState = freezePlaybackState(data.playbackState);
+  }
+  if (data.musicPlayer) {
+    data.musicPlayer = { ...data.musicPlayer, playback: freezePlaybackState(data.musicPlayer.playback) };
+  }
+  return data;
+}
+
+// Yeniden başlatma sonrası oynatma kaydedildiği saniyede duraklatılmış olarak açılır
+function deserializeRoom(data) {
+  const playbackState = data.playbackState || {};
+  const musicPlayer = data.musicPlayer || {};
+  return {
+    ...data,
+    users: new Map(),
+    screenShares: [],
+    queue: data.queue || [],
+    queueSettings: data.queueSettings || { voting: false },
+    permissions: { ...DEFAULT_PERMISSIONS, ...data.permissions },
+    bans: data.bans || [],
+    mutes: data.mutes || {},
+    auditLog: data.auditLog || [],
+    slowModeSeconds: data.slowModeSeconds || 0,
+    pinnedMessages: data.pinnedMessages || [],
+    screenShareAutoApprove: data.screenShareAutoApprove || createScreenShareAutoApprove(),
+    playbackState: createPlaybackState({
+      position: playbackState.position ?? playbackState.currentTime ?? 0,
+      playbackRate: playbackState.playbackRate || 1,
+      videoId: playbackState.videoId
+    }),
+    musicPlayer: createMusicPlayer({
+      ...musicPlayer,
+      playback: createPlaybackState({ position: musicPlayer.playback?.position || 0 })
+    })
+  };
+}
+
+function createStore() {
+  if (STORE_DRIVER === 'memory') {
+    return new MemoryStore();
+  }
+  return new FileStore({ dataDir: DATA_DIR });
+}
+
+// ✅ ROLLER VE YETKİLER
+const ROLE_RANK = { viewer: 0, member: 1, moderator: 2, owner: 3 };
+const ASSIGNABLE_ROLES = ['moderator', 'member', 'viewer'];
+
+// Her işlem için gereken en düşük rol; oda sahibi kendi odası için değiştirebilir
+const DEFAULT_PERMISSIONS = {
+  'playback': 'moderator',
+  'share-video': 'moderator',
+  'manage-queue': 'moderator',
+  'queue-vote': 'member',
+  'chat': 'member',
+  'screen-share': 'member',
+  'approve-screen-share': 'moderator',
+  'call': 'member',
+  'upload-music': 'member',
+  'music-playback': 'member',
+  'moderate': 'moderator'
+};
+
+// ✅ ŞİFRE VE GİRİŞ DENEMESİ AYARLARI
+const PASSWORD_KEY_LENGTH = 64;
+const JOIN_FREE_ATTEMPTS = 5;
+const ROOM_FREE_ATTEMPTS = 20;
+const JOIN_BACKOFF_BASE = 1000;
+const JOIN_BACKOFF_MAX = 15 * 60 * 1000;
+const JOIN_FAILURE_WINDOW = 30 * 60 * 1000;
+const ROOM_FAILURE_DELAY_MAX = 5000;
+// X-Forwarded-For'a sondan kaç proxy'nin eklediği girişe güvenileceği; Render önünde tek proxy vardır
+const TRUSTED_PROXY_COUNT = process.env.TRUSTED_PROXY_COUNT !== undefined
+  ? Math.max(0, parseInt(process.env.TRUSTED_PROXY_COUNT, 10) || 0)
+  : (process.env.RENDER ? 1 : 0);
+
+// ✅ MODERASYON AYARLARI
+const DEFAULT_MUTE_DURATION = 5 * 60 * 1000;
+const MAX_MUTE_DURATION = 24 * 60 * 60 * 1000;
+const MAX_AUDIT_ENTRIES = 200;
+
+// ✅ HIZ SINIRLAMA AYARLARI
+// Token bucket: capacity kadar ani istek, sonra saniyede perSecond jeton yenilenir.
+// socket limiti tek bağlantıyı, room limiti odaya yayılan toplam trafiği sınırlar.
+// RATE_LIMITS ortam değişkeni aynı formatta JSON ile event bazında ezebilir.
+const DEFAULT_RATE_LIMITS = {
+  'create-room': { socket: { capacity: 3, perSecond: 0.1 } },
+  'join-room': { socket: { capacity: 5, perSecond: 0.2 } },
+  'message': { socket: { capacity: 5, perSecond: 1 }, room: { capacity: 30, perSecond: 10 } },
+  'edit-message': { socket: { capacity: 5, perSecond: 0.5 } },
+  'delete-message': { socket: { capacity: 5, perSecond: 0.5 } },
+  'message-reaction': { socket: { capacity: 10, perSecond: 2 }, room: { capacity: 60, perSecond: 20 } },
+  'pin-message': { socket: { capacity: 5, perSecond: 0.5 } },
+  'upload-attachment': { socket: { capacity: 5, perSecond: 0.2 } },
+  'load-history': { socket: { capacity: 5, perSecond: 1 } },
+  'search-messages': { socket: { capacity: 3, perSecond: 0.5 } },
+  'message-seen': { socket: { capacity: 100, perSecond: 20 } },
+  'video-control': { socket: { capacity: 10, perSecond: 2 }, room: { capacity: 20, perSecond: 5 } },
+  'youtube-control': { socket: { capacity: 10, perSecond: 2 }, room: { capacity: 20, perSecond: 5 } },
+  'request-screen-share': { socket: { capacity: 2, perSecond: 0.1 } },
+  'share-youtube-link': { socket: { capacity: 5, perSecond: 0.5 } },
+  'queue-add': { socket: { capacity: 5, perSecond: 0.5 } },
+  'queue-vote': { socket: { capacity: 10, perSecond: 2 } },
+  'start-call': { socket: { capacity: 3, perSecond: 0.2 } },
+  'join-call': { socket: { capacity: 5, perSecond: 0.5 } },
+  'call-signal': { socket: { capacity: 200, perSecond: 50 } },
+  'screen-share-signal': { socket: { capacity: 200, perSecond: 50 } },
+  'call-media-state': { socket: { capacity: 10, perSecond: 2 } },
+  'upload-playlist-music': { socket: { capacity: 3, perSecond: 0.1 } },
+  'presence-update': { socket: { capacity: 5, perSecond: 0.5 } },
+  'music-control': { socket: { capacity: 10, perSecond: 2 }, room: { capacity: 20, perSecond: 5 } },
+  'music-set-mode': { socket: { capacity: 5, perSecond: 0.5 } },
+  'update-room-listing': { socket: { capacity: 5, perSecond: 0.2 } }
+};
+const RATE_LIMITS = loadRateLimits();
+const MAX_SLOW_MODE_SECONDS = 3600;
+
+// ✅ ODA DİZİNİ AYARLARI
+const ROOM_VISIBILITIES = ['private', 'public'];
+const MAX_ROOM_TAGS = 5;
+const ROOM_LIST_PAGE_SIZE = 20;
+const MAX_ROOM_LIST_PAGE_SIZE = 50;
+
+// ✅ SOHBET AYARLARI
+// Oda başına saklanan mesaj sayısı ve (0 değilse) gün cinsinden en uzun saklama süresi;
+// sabitlenen mesajlar bu sınırların dışında tutulur
+const MESSAGE_RETENTION_COUNT = parseInt(process.env.MESSAGE_RETENTION_COUNT, 10) || 1000;
+const MESSAGE_RETENTION_DAYS = parseInt(process.env.MESSAGE_RETENTION_DAYS, 10) || 0;
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+const MAX_PINNED_MESSAGES = 10;
+const REPLY_EXCERPT_LENGTH = 120;
+
+// ✅ ICE / TURN AYARLARI
+// ICE_SERVERS: RTCIceServer listesi (JSON), verilmezse herkese açık STUN sunucuları kullanılır.
+// TURN_URLS ve TURN_SECRET verilirse coturn REST API (use-auth-secret) şemasıyla
+// her sokete süreli TURN kullanıcı adı/şifresi üretilir, süre dolmadan yenisi gönderilir.
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+  { urls: 'stun:stun2.l.google.com:19302' },
+  { urls: 'stun:stun3.l.google.com:19302' },
+  { urls: 'stun:stun4.l.google.com:19302' },
+  { urls: 'stun:stun.services.mozilla.com' },
+  { urls: 'stun:stun.stunprotocol.org:3478' }
+];
+const ICE_SERVERS = loadIceServers();
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET || null;
+const TURN_CREDENTIAL_TTL = (parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS, 10) > 0
+  ? parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS, 10)
+  : 3600) * 1000;
+const TURN_REFRESH_MARGIN = Math.min(5 * 60 * 1000, TURN_CREDENTIAL_TTL / 5);
+// setTimeout 32 bitlik gecikmeden uzununu 1 ms sayar; uzun TTL'de yenileme erkene çekilir
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// ✅ GRUP ARAMASI AYARLARI
+// Mesh topolojide her katılımcı diğer herkese ayrı bağlantı açar; kişi sayısı arttıkça
+// istemci yükü katlanarak büyüdüğü için üst sınır düşük tutulur.
+const MAX_CALL_PARTICIPANTS = parseInt(process.env.MAX_CALL_PARTICIPANTS, 10) || 6;
+
+// ✅ EKRAN PAYLAŞIMI AYARLARI
+// Aynı anda ekran paylaşabilecek kişi sayısı; her sunucu izleyicilere ayrı bağlantı açar
+const MAX_SCREEN_SHARES = parseInt(process.env.MAX_SCREEN_SHARES, 10) || 2;
+// Cevaplanmayan paylaşım isteği bu sürenin sonunda düşer ve isteyene bildirilir
+const SCREEN_SHARE_REQUEST_TTL = (parseInt(process.env.SCREEN_SHARE_REQUEST_TTL_SECONDS, 10) || 60) * 1000;
+const MAX_SCREEN_SHARE_WHITELIST = 100;
+
+// ✅ PLAYLIST AYARLARI
+const MAX_TRACKS_PER_USER = parseInt(process.env.MAX_TRACKS_PER_USER, 10) || 50;
+const MAX_COVER_ART_SIZE = 2 * 1024 * 1024;
+const TRACK_TAG_LENGTH = 200;
+
+// ✅ MÜZİK ÇALARI AYARLARI
+const MUSIC_PLAY_MODES = ['round-robin', 'shuffle'];
+const MUSIC_UP_NEXT_COUNT = 5;
+
+// ✅ HOST DEVRİ AYARLARI
+const OWNER_GRACE_PERIOD = parseInt(process.env.OWNER_GRACE_PERIOD_MS, 10) || 60000;
+
+// ✅ OTURUM AYARLARI
+// SESSION_SECRET verilmezse tokenlar sadece bu süreç ayakta kaldıkça geçerlidir.
+// Verilirse yeniden başlatma sonrası kullanıcı listesi boş açılır, oturum devam ettirilemez;
+// ancak sahibin tokenı join-room ile odaya yeniden girip sahipliği geri alabilir (ownerSessionId).
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_GRACE_PERIOD = parseInt(process.env.SESSION_GRACE_PERIOD_MS, 10) || 30000;
+
+// ✅ OYNATMA SAATİ AYARLARI
+const PLAYBACK_SYNC_INTERVAL = parseInt(process.env.PLAYBACK_SYNC_INTERVAL_MS, 10) || 5000;
+const MAX_CONTROL_LATENCY = 5000;
+
+// ✅ MEDYA YÜKLEME AYARLARI
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(DATA_DIR, 'media');
+const PARTIAL_UPLOAD_DIR = path.join(MEDIA_DIR, '.partial');
+const UPLOAD_CHUNK_SIZE = 512 * 1024;
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 500 * 1024 * 1024;
+const UPLOAD_EXPIRY = 60 * 60 * 1000;
+
+// ✅ SOHBET EKLERİ AYARLARI
+// Ekler aynı parçalı yükleme yolunu kullanır; tür dosyanın ilk baytlarından belirlenir.
+// ALLOWED_ATTACHMENT_TYPES virgülle ayrılmış MIME listesidir ("image/*" gibi joker desteklenir).
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.MAX_ATTACHMENT_SIZE, 10) || 25 * 1024 * 1024;
+const ATTACHMENT_ROOM_QUOTA = parseInt(process.env.ATTACHMENT_ROOM_QUOTA, 10) || 500 * 1024 * 1024;
+// Yüklenip bu süre içinde bir mesaja eklenmeyen dosyalar silinir ve kotadan düşer
+const UNCLAIMED_ATTACHMENT_TTL = parseInt(process.env.UNCLAIMED_ATTACHMENT_TTL_MS, 10) || UPLOAD_EXPIRY;
+const ALLOWED_ATTACHMENT_TYPES = (process.env.ALLOWED_ATTACHMENT_TYPES ||
+  'image/png,image/jpeg,image/gif,image/webp,audio/*,video/mp4,video/webm,application/pdf,text/plain')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_SOURCE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// ✅ GİRDİ DOĞRULAMA
+// Her socket event'inin verisi handler'a ulaşmadan önce buradaki şemadan geçer.
+// Şemada tanımlı olmayan alanlar atılır, string'ler kırpılır.
+const USERNAME_MAX_LENGTH = 32;
+const MESSAGE_MAX_LENGTH = 4000;
+// İstemcinin bildirebildiği durumlar; in-call ve sharing sunucu tarafından belirlenir
+const CLIENT_PRESENCE_STATES = ['active', 'idle', 'away'];
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{1,12}$/;
+const MESSAGE_ID_PATTERN = /^[a-z0-9]{1,64}$/;
+const MEDIA_ID_PATTERN = /^[a-f0-9]{16}$/;
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/[a-z0-9][a-z0-9!#$&^_.+-]*$/i;
+// https adresleri normalizeUserPhoto ile URL'e çevrilir; HTML özniteliğinden kaçabilecek karakterler reddedilir
+const USER_PHOTO_PATTERN = /^(data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+|https:\/\/[^\s"'<>`\\]+)$/;
+
+// İstemciye giden hatalar kod ile tanımlanır; mesaj sadece gösterim içindir
+const ERROR_MESSAGES = {
+  INVALID_PAYLOAD: 'Geçersiz istek',
+  ROOM_CREATE_FAILED: 'Oda oluşturulamadı!',
+  ROOM_NOT_FOUND: 'Oda bulunamadı!',
+  JOIN_FAILED: 'Odaya katılamadı!',
+  JOIN_RATE_LIMITED: 'Çok fazla hatalı deneme, lütfen daha sonra tekrar deneyin.',
+  WRONG_PASSWORD: 'Şifre yanlış!',
+  BANNED: 'Bu odaya girişiniz yasaklandı!',
+  UPLOAD_FAILED: 'Video yüklenemedi!',
+  ATTACHMENT_TOO_LARGE: 'Dosya boyutu sınırı aşıldı',
+  ATTACHMENT_QUOTA_EXCEEDED: 'Odanın dosya kotası doldu',
+  ATTACHMENT_TYPE_NOT_ALLOWED: 'Bu dosya türüne izin verilmiyor',
+  ATTACHMENT_NOT_FOUND: 'Dosya bulunamadı',
+  INVALID_YOUTUBE_URL: 'Geçersiz YouTube linki',
+  VIDEO_NOT_FOUND: 'Video bulunamadı',
+  QUEUE_VOTING_ENABLED: 'Oylama açıkken sıralama oylarla belirlenir',
+  INVALID_ROLE: 'Geçersiz rol ataması',
+  INVALID_PERMISSION: 'Geçersiz yetki',
+  USER_NOT_FOUND: 'Kullanıcı bulunamadı',
+  MESSAGE_NOT_FOUND: 'Mesaj bulunamadı',
+  PIN_LIMIT: 'Sabitlenebilecek mesaj sayısına ulaşıldı',
+  MUSIC_DECODE_FAILED: 'Müzik dosyası okunamadı',
+  MUSIC_PLAYLIST_EMPTY: 'Çalma listesinde parça yok',
+  TRACK_NOT_FOUND: 'Parça bulunamadı',
+  TRACK_LIMIT: 'Yükleyebileceğiniz parça sayısına ulaşıldı',
+  INVALID_AUDIO: 'Dosya geçerli bir ses dosyası değil',
+  INVALID_VIDEO: 'Dosya geçerli bir video dosyası değil',
+  PERMISSION_DENIED: 'Yetkiniz yok',
+  CALL_FULL: 'Arama dolu',
+  SCREEN_SHARE_LIMIT: 'Aynı anda paylaşılabilecek ekran sayısına ulaşıldı',
+  SCREEN_SHARE_NOT_FOUND: 'Ekran paylaşımı bulunamadı',
+  ALREADY_SHARING: 'Zaten ekran paylaşıyorsunuz',
+  SCREEN_SHARE_REQUEST_PENDING: 'Bekleyen bir ekran paylaşım isteğiniz var',
+  SCREEN_SHARE_REQUEST_EXPIRED: 'Ekran paylaşım isteğiniz zaman aşımına uğradı',
+  SCREEN_SHARE_REQUEST_NOT_FOUND: 'Ekran paylaşım isteği bulunamadı',
+  WHITELIST_FULL: 'Otomatik onay listesi dolu',
+  NOT_IN_CALL: 'Aramada değilsiniz',
+  MODERATION_NOT_ALLOWED: 'Bu kullanıcıya işlem yapamazsınız',
+  CALL_TARGET_NOT_FOUND: 'Kullanıcı bulunamadı veya çevrimdışı',
+  CALL_FAILED: 'Arama başlatılamadı'
+};
+
+// https adresi URL olarak ayrıştırılıp kodlanmış haliyle (url.href) saklanır
+function normalizeUserPhoto(value) {
+  if (!value.startsWith('https:')) return value;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ? url.href : value;
+  } catch (error) {
+    return value;
+  }
+}
+
+function createError(code, details = {}) {
+  return { code, message: ERROR_MESSAGES[code] || code, ...details };
+}
+
+const FIELD_SPECS = {
+  roomCode: { type: 'string', transform: value => value.toUpperCase(), pattern: ROOM_CODE_PATTERN },
+  visibility: { type: 'string', enum: ROOM_VISIBILITIES },
+  roomTags: {
+    type: 'array',
+    max: MAX_ROOM_TAGS,
+    items: { type: 'string', required: true, max: 24, transform: value => value.toLocaleLowerCase('tr'), pattern: /^[\p{L}\p{N} _-]+$/u }
+  },
+  roomDescription: { type: 'string', max: 300 },
+  userName: { type: 'username', required: true },
+  userPhoto: { type: 'string', max: 2 * 1024 * 1024, transform: normalizeUserPhoto, pattern: USER_PHOTO_PATTERN },
+  password: { type: 'string', trim: false, max: 128 },
+  sessionToken: { type: 'string', max: 1024 },
+  uploadId: { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/ },
+  mediaId: { type: 'string', pattern: MEDIA_ID_PATTERN },
+  itemId: { type: 'string', required: true, pattern: /^[a-f0-9]{16}$/ },
+  checksum: { type: 'string', transform: value => value.toLowerCase(), pattern: /^[a-f0-9]{64}$/ },
+  trackId: { type: 'string', pattern: MESSAGE_ID_PATTERN },
+  isoDate: { type: 'string', max: 40, pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/ },
+  youtubeUrl: { type: 'string', max: 500 },
+  title: { type: 'string', max: 200 },
+  fileName: { type: 'string', max: 255, pattern: /^[^<>"'&`\\\u0000-\u001F]+$/ },
+  userId: { type: 'string', required: true, pattern: /^[a-f0-9]{16}$/ },
+  reason: { type: 'string', max: 200 },
+  messageId: { type: 'string', required: true, pattern: MESSAGE_ID_PATTERN },
+};
+
+const playbackControlSchema = {
+  playing: { type: 'boolean' },
+  currentTime: { type: 'number', min: 0 },
+  playbackRate: { type: 'number', min: 0.25, max: 4 },
+  timestamp: { type: 'number', min: 0 }
+};
+
+const EVENT_SCHEMAS = {
+  'pong': {},
+  'resume-session': { sessionToken: { ...FIELD_SPECS.sessionToken, required: true } },
+  'time-sync': { clientTime: { type: 'number' } },
+  'create-room': {
+    userName: FIELD_SPECS.userName,
+    userPhoto: FIELD_SPECS.userPhoto,
+    roomName: { type: 'string', required: true, max: 60 },
+    password: FIELD_SPECS.password,
+    visibility: { ...FIELD_SPECS.visibility, default: 'private' },
+    tags: FIELD_SPECS.roomTags,
+    description: FIELD_SPECS.roomDescription
+  },
+  'update-room-listing': {
+    visibility: { ...FIELD_SPECS.visibility, required: true },
+    tags: { ...FIELD_SPECS.roomTags, default: [] },
+    description: { ...FIELD_SPECS.roomDescription, default: '' }
+  },
+  'join-room': {
+    roomCode: { ...FIELD_SPECS.roomCode, required: true },
+    userName: FIELD_SPECS.userName,
+    userPhoto: FIELD_SPECS.userPhoto,
+    password: FIELD_SPECS.password,
+    sessionToken: FIELD_SPECS.sessionToken
+  },
+  'upload-video': {
+    fileName: FIELD_SPECS.fileName,
+    fileSize: { type: 'integer', required: true, min: 1, max: MAX_UPLOAD_SIZE },
+    mimeType: { type: 'string', max: 100, pattern: MIME_TYPE_PATTERN },
+    title: FIELD_SPECS.title,
+    checksum: FIELD_SPECS.checksum
+  },
+  'upload-attachment': {
+    fileName: { ...FIELD_SPECS.fileName, required: true },
+    fileSize: { type: 'integer', required: true, min: 1 },
+    mimeType: { type: 'string', max: 100, transform: value => value.toLowerCase(), pattern: MIME_TYPE_PATTERN },
+    checksum: FIELD_SPECS.checksum
+  },
+  'upload-status': { uploadId: FIELD_SPECS.uploadId },
+  'upload-chunk': {
+    uploadId: FIELD_SPECS.uploadId,
+    offset: { type: 'integer', required: true, min: 0 },
+    data: { type: 'buffer', required: true, max: UPLOAD_CHUNK_SIZE },
+    checksum: FIELD_SPECS.checksum
+  },
+  'cancel-upload': { uploadId: FIELD_SPECS.uploadId },
+  'share-youtube-link': { youtubeUrl: { ...FIELD_SPECS.youtubeUrl, required: true }, title: FIELD_SPECS.title },
+  'queue-add': { youtubeUrl: FIELD_SPECS.youtubeUrl, mediaId: FIELD_SPECS.mediaId, title: FIELD_SPECS.title },
+  'queue-remove': { itemId: FIELD_SPECS.itemId },
+  'queue-reorder': { itemId: FIELD_SPECS.itemId, toIndex: { type: 'integer', required: true, min: 0 } },
+  'queue-vote': { itemId: FIELD_SPECS.itemId },
+  'queue-set-voting': { enabled: { type: 'boolean', required: true } },
+  'queue-skip': {},
+  'video-ended': { itemId: FIELD_SPECS.itemId },
+  'set-user-role': { userId: FIELD_SPECS.userId, role: { type: 'string', required: true, enum: ASSIGNABLE_ROLES } },
+  'kick-user': { userId: FIELD_SPECS.userId, reason: FIELD_SPECS.reason },
+  'ban-user': { userId: FIELD_SPECS.userId, reason: FIELD_SPECS.reason },
+  'list-bans': {},
+  'unban-user': { sessionId: { type: 'string', required: true, pattern: /^[a-f0-9]{32}$/ } },
+  'mute-user': { userId: FIELD_SPECS.userId, durationMs: { type: 'integer', min: 1000, max: MAX_MUTE_DURATION } },
+  'unmute-user': { userId: FIELD_SPECS.userId },
+  'transfer-ownership': { userId: FIELD_SPECS.userId },
+  'update-permissions': { permissions: { type: 'object', required: true } },
+  'set-slow-mode': { seconds: { type: 'integer', required: true, min: 0, max: MAX_SLOW_MODE_SECONDS } },
+  'video-control': playbackControlSchema,
+  'youtube-control': playbackControlSchema,
+  'delete-video': {},
+  'message': {
+    text: { type: 'string', max: MESSAGE_MAX_LENGTH },
+    type: { type: 'string', enum: ['text', 'image', 'audio', 'file'], default: 'text' },
+    attachmentId: FIELD_SPECS.mediaId,
+    replyTo: { ...FIELD_SPECS.messageId, required: false }
+  },
+  'edit-message': { messageId: FIELD_SPECS.messageId, newText: { type: 'string', required: true, max: MESSAGE_MAX_LENGTH } },
+  'delete-message': { messageId: FIELD_SPECS.messageId },
+  'message-reaction': { messageId: FIELD_SPECS.messageId, reaction: { type: 'string', required: true, max: 16 } },
+  'message-seen': { messageId: FIELD_SPECS.messageId },
+  'load-history': {
+    before: { ...FIELD_SPECS.messageId, required: false },
+    limit: { type: 'integer', min: 1, max: MAX_HISTORY_PAGE_SIZE, default: HISTORY_PAGE_SIZE }
+  },
+  'search-messages': {
+    query: { type: 'string', max: 200 },
+    userId: { ...FIELD_SPECS.userId, required: false },
+    userName: { type: 'string', max: USERNAME_MAX_LENGTH },
+    from: FIELD_SPECS.isoDate,
+    to: FIELD_SPECS.isoDate,
+    before: { ...FIELD_SPECS.messageId, required: false },
+    limit: { type: 'integer', min: 1, max: MAX_SEARCH_PAGE_SIZE, default: SEARCH_PAGE_SIZE }
+  },
+  'pin-message': { messageId: FIELD_SPECS.messageId },
+  'unpin-message': { messageId: FIELD_SPECS.messageId },
+  'request-screen-share': {},
+  'approve-screen-share': { requesterId: FIELD_SPECS.userId },
+  'reject-screen-share': { requesterId: FIELD_SPECS.userId },
+  'stop-screen-share': { shareId: FIELD_SPECS.mediaId },
+  'list-screen-share-requests': {},
+  'set-screen-share-auto-approve': { moderators: { type: 'boolean', required: true } },
+  'set-screen-share-whitelist': { userId: FIELD_SPECS.userId, allowed: { type: 'boolean', required: true } },
+  'screen-share-signal': {
+    shareId: { ...FIELD_SPECS.mediaId, required: true },
+    targetUserId: FIELD_SPECS.userId,
+    description: { type: 'object' },
+    candidate: { type: 'object' }
+  },
+  'upload-playlist-music': {
+    musicData: { type: 'string', required: true, max: 70 * 1024 * 1024, pattern: /^(data:[^,]*,)?[A-Za-z0-9+/=\s]+$/ },
+    fileName: { ...FIELD_SPECS.fileName, required: true },
+    fileSize: { type: 'integer', min: 0 }
+  },
+  'music-control': {
+    action: { type: 'string', required: true, enum: ['play', 'pause', 'next', 'previous', 'seek', 'play-track'] },
+    trackId: FIELD_SPECS.trackId,
+    currentTime: { type: 'number', min: 0 },
+    timestamp: { type: 'number', min: 0 }
+  },
+  'music-set-mode': { mode: { type: 'string', required: true, enum: MUSIC_PLAY_MODES } },
+  'music-ended': { trackId: { ...FIELD_SPECS.trackId, required: true } },
+  'remove-track': {
+    trackId: { ...FIELD_SPECS.trackId, required: true },
+    requesterId: { ...FIELD_SPECS.userId, required: false }
+  },
+  'move-track': {
+    trackId: { ...FIELD_SPECS.trackId, required: true },
+    toIndex: { type: 'integer', required: true, min: 0 }
+  },
+  'rename-track': {
+    trackId: { ...FIELD_SPECS.trackId, required: true },
+    fileName: { ...FIELD_SPECS.fileName, required: true }
+  },
+  'request-track-removal': { trackId: { ...FIELD_SPECS.trackId, required: true } },
+  'join-call': {
+    type: { type: 'string', enum: ['video', 'audio'], default: 'video' },
+    audioMuted: { type: 'boolean' },
+    videoMuted: { type: 'boolean' }
+  },
+  'leave-call': {},
+  'start-call': {
+    targetUserId: FIELD_SPECS.userId,
+    type: { type: 'string', enum: ['video', 'audio'], default: 'video' }
+  },
+  'reject-call': { callerId: FIELD_SPECS.userId },
+  'call-signal': {
+    targetUserId: FIELD_SPECS.userId,
+    description: { type: 'object' },
+    candidate: { type: 'object' }
+  },
+  'call-media-state': { audioMuted: { type: 'boolean' }, videoMuted: { type: 'boolean' } },
+  'presence-update': { state: { type: 'string', required: true, enum: CLIENT_PRESENCE_STATES } }
+};
+
+// Kontrol karakterleri, yön işaretleri ve HTML'e özel karakterler atılır
+function sanitizeUserName(value) {
+  return value
+    .normalize('NFC')
+    .replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, '')
+    .replace(/[<>"'&`\\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function validateField(spec, value) {
+  if (value === undefined || value === null || value === '') {
+    return spec.required ? { error: 'REQUIRED' } : { value: spec.default };
+  }
+
+  switch (spec.type) {
+    case 'string':
+    case 'username': {
+      if (typeof value !== 'string') return { error: 'INVALID_TYPE' };
+      let normalized = spec.type === 'username' ? sanitizeUserName(value) : value;
+      if (spec.trim !== false) normalized = normalized.trim();
+      if (spec.transform) normalized = spec.transform(normalized);
+      if (!normalized) return spec.required ? { error: 'REQUIRED' } : { value: spec.default };
+
+      const max = spec.type === 'username' ? USERNAME_MAX_LENGTH : spec.max;
+      if (max && normalized.length > max) return { error: 'TOO_LONG' };
+      if (spec.pattern && !spec.pattern.test(normalized)) return { error: 'INVALID_FORMAT' };
+      if (spec.enum && !spec.enum.includes(normalized)) return { error: 'INVALID_VALUE' };
+      return { value: normalized };
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'INVALID_TYPE' };
+      if (spec.type === 'integer' && !Number.isInteger(value)) return { error: 'INVALID_TYPE' };
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { error: 'OUT_OF_RANGE' };
+      }
+      return { value };
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'INVALID_TYPE' };
+    case 'buffer':
+      if (!Buffer.isBuffer(value)) return { error: 'INVALID_TYPE' };
+      if (value.length === 0) return spec.required ? { error: 'REQUIRED' } : { value: spec.default };
+      if (spec.max && value.length > spec.max) return { error: 'TOO_LONG' };
+      return { value };
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) return { error: 'INVALID_TYPE' };
+      return { value };
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'INVALID_TYPE' };
+      if (spec.max !== undefined && value.length > spec.max) return { error: 'TOO_LONG' };
+      const items = [];
+      for (const item of value) {
+        const result = validateField(spec.items, item);
+        if (result.error) return { error: result.error };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    default:
+      return { error: 'INVALID_TYPE' };
+  }
+}
+
+// Geçerli veriyi normalize edilmiş haliyle, hataları alan bazında döner
+function validatePayload(schema, data) {
+  if (data === undefined || data === null) data = {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: [{ field: null, code: 'INVALID_TYPE' }] };
+  }
+
+  const value = {};
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const result = validateField(spec, data[field]);
+    if (result.error) {
+      errors.push({ field, code: result.error });
+    } else if (result.value !== undefined) {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+// Kullanıcı adı SVG'ye ve data URL'e kaçışlanarak yerleştirilir
+function escapeMarkup(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function createDefaultAvatar(userName) {
+  const initial = Array.from(userName)[0] || '?';
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect fill="${generateUserColor(userName)}" width="100" height="100"/><text x="50" y="60" font-size="40" text-anchor="middle" fill="white">${escapeMarkup(initial)}</text></svg>`;
+  return `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`;
+}
+
 // ✅ BELLEK TABANLI SİSTEM
-const rooms = new Map();
+const store = createStore();
+const rooms = store.rooms;
 const users = new Map();
-const messages = new Map();
-const pendingOffers = new Map();
-const activeCalls = new Map();
+const messages = store.messages;
+const callSessions = new Map();
 const screenShareRequests = new Map();
-const userPlaylists = new Map();
+const userPlaylists = store.playlists;
 const connectionMonitor = new Map();
+const uploads = new Map();
+const ownerMigrationTimers = new Map();
+const sessionGraceTimers = new Map();
+const joinFailures = new Map();
+const roomRateBuckets = new Map();
+
+// ✅ ICE SUNUCULARI
+function loadIceServers() {
+  if (!process.env.ICE_SERVERS) return DEFAULT_ICE_SERVERS;
+
+  try {
+    const servers = JSON.parse(process.env.ICE_SERVERS);
+    const valid = Array.isArray(servers) && servers.every(server =>
+      server && (typeof server.urls === 'string' || (Array.isArray(server.urls) && server.urls.length > 0))
+    );
+    if (!valid) throw new Error('her sunucu için urls gerekli');
+    return servers;
+  } catch (error) {
+    console.error('❌ ICE_SERVERS okunamadı, varsayılanlar kullanılıyor:', error.message);
+    return DEFAULT_ICE_SERVERS;
+  }
+}
+
+// coturn REST API: username = "son-geçerlilik-unix-saniye:kimlik", credential = base64(HMAC-SHA1(secret, username))
+function createTurnCredentials(identity, expiresAt) {
+  const username = `${Math.floor(expiresAt / 1000)}:${identity}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { urls: TURN_URLS, username, credential };
+}
+
+function getIceServers(identity, now = Date.now()) {
+  if (!TURN_SECRET || TURN_URLS.length === 0) {
+    return { servers: ICE_SERVERS, expiresAt: null };
+  }
 
-// ✅ STUN SUNUCULARI
-function getIceServers() {
-  return [
-    { urls: 'stun:stun.l.google.com:19302' },
-    { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun2.l.google.com:19302' },
-    { urls: 'stun:stun3.l.google.com:19302' },
-    { urls: 'stun:stun4.l.google.com:19302' },
-    { urls: 'stun:stun.services.mozilla.com' },
-    { urls: 'stun:stun.stunprotocol.org:3478' }
-  ];
+  const expiresAt = now + TURN_CREDENTIAL_TTL;
+  return {
+    servers: [...ICE_SERVERS, createTurnCredentials(identity, expiresAt)],
+    expiresAt
+  };
 }
 
 // ✅ SOCKET.IO - RENDER İÇİN OPTİMİZE
@@ -86,365 +851,3139 @@ function extractYouTubeId(url) {
   return match ? match[1] : null;
 }
 
+// ✅ SUNUCU OTORİTER OYNATMA SAATİ
+// Konum, en son kontrol anındaki saniye (position) ve o anın sunucu
+// zamanı (anchor) olarak tutulur; güncel saniye her istekte hesaplanır.
+function createPlaybackState(overrides = {}) {
+  return {
+    playing: false,
+    position: 0,
+    playbackRate: 1,
+    anchor: Date.now(),
+    ...overrides
+  };
+}
+
+function getPlaybackPosition(state, now = Date.now()) {
+  if (!state.playing) return state.position;
+  return state.position + ((now - state.anchor) / 1000) * state.playbackRate;
+}
+
+function freezePlaybackState(state, now = Date.now()) {
+  return { ...state, position: getPlaybackPosition(state, now), anchor: now };
+}
+
+// Kontrol verisindeki timestamp, sahibinin time-sync ile tahmin ettiği
+// sunucu zamanıdır; ağ gecikmesi kadar ileri sarılarak telafi edilir.
+function applyPlaybackControl(state, control, now = Date.now()) {
+  const playing = typeof control.playing === 'boolean' ? control.playing : state.playing;
+  const playbackRate = typeof control.playbackRate === 'number' && control.playbackRate > 0 && control.playbackRate <= 4
+    ? control.playbackRate
+    : state.playbackRate;
+
+  let position = getPlaybackPosition(state, now);
+  if (typeof control.currentTime === 'number' && control.currentTime >= 0) {
+    position = control.currentTime;
+
+    const latency = typeof control.timestamp === 'number' ? now - control.timestamp : 0;
+    if (playing && latency > 0 && latency <= MAX_CONTROL_LATENCY) {
+      position += (latency / 1000) * playbackRate;
+    }
+  }
+
+  return { ...state, playing, playbackRate, position, anchor: now };
+}
+
+function getPlaybackSnapshot(state, now = Date.now()) {
+  return {
+    playing: state.playing,
+    currentTime: getPlaybackPosition(state, now),
+    playbackRate: state.playbackRate,
+    videoId: state.videoId,
+    serverTime: now
+  };
+}
+
+function generateMediaId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function getMediaUrl(roomCode, mediaId) {
+  return `/media/${roomCode}/${mediaId}`;
+}
+
+function getMediaPath(roomCode, mediaId) {
+  return path.join(MEDIA_DIR, roomCode, mediaId);
+}
+
+// room.media düz nesnedir; "constructor" gibi miras alınan anahtarlar medya sayılmaz
+function getRoomMedia(room, mediaId) {
+  return room?.media && Object.hasOwn(room.media, mediaId) ? room.media[mediaId] : null;
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+async function readFileHead(filePath, length = 64) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Dosyanın ilk baytlarından gerçek içerik tipini bulur
+function sniffMimeType(head) {
+  if (!head || head.length < 4) return null;
+
+  const ascii = (start, end) => head.toString('latin1', start, end);
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  if (head[0] === 0x1A && head[1] === 0x45 && head[2] === 0xDF && head[3] === 0xA3) {
+    return head.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(0, 4) === 'OggS') {
+    return head.includes('theora') ? 'video/ogg' : 'audio/ogg';
+  }
+  if (ascii(0, 4) === 'RIFF') {
+    const format = ascii(8, 12);
+    if (format === 'WAVE') return 'audio/wav';
+    if (format === 'AVI ') return 'video/x-msvideo';
+    if (format === 'WEBP') return 'image/webp';
+  }
+  if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(0, 3) === 'FLV') return 'video/x-flv';
+  if (head[0] === 0xFF && (head[1] & 0xF6) === 0xF0) return 'audio/aac';
+  if (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0) return 'audio/mpeg';
+  if (head[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === '%PDF') return 'application/pdf';
+
+  return null;
+}
+
+// ✅ SOHBET EKLERİ
+function isAttachmentTypeAllowed(mimeType) {
+  return Boolean(mimeType) && ALLOWED_ATTACHMENT_TYPES.some(allowed => allowed.endsWith('/*')
+    ? mimeType.startsWith(allowed.slice(0, -1))
+    : mimeType === allowed);
+}
+
+// Baytlardan tanınamayan dosya, NUL içermeyen geçerli UTF-8 ise düz metin sayılır
+function sniffAttachmentType(head) {
+  const sniffed = sniffMimeType(head);
+  if (sniffed) return sniffed;
+  if (head.length === 0 || head.includes(0)) return null;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head.subarray(0, head.length - 3));
+    return 'text/plain';
+  } catch (error) {
+    return null;
+  }
+}
+
+// Yüklemesi süren ekler de kotadan düşülür
+function getAttachmentUsage(room) {
+  const stored = Object.values(room.media || {})
+    .filter(media => media.kind === 'attachment' || media.kind === 'thumbnail')
+    .reduce((total, media) => total + media.size, 0);
+  const pending = Array.from(uploads.values())
+    .filter(upload => upload.kind === 'attachment' && upload.roomCode === room.code)
+    .reduce((total, upload) => total + upload.size, 0);
+  return stored + pending;
+}
+
+// sharp isteğe bağlı bağımlılıktır; kurulu değilse küçük resim üretilmez
+let sharpModule;
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require('sharp');
+    } catch (error) {
+      sharpModule = null;
+      console.warn('⚠️ sharp bulunamadı, küçük resimler üretilmeyecek');
+    }
+  }
+  return sharpModule;
+}
+
+async function createThumbnail(roomCode, sourcePath) {
+  const sharp = loadSharp();
+  if (!sharp) return null;
+
+  const thumbnailId = generateMediaId();
+  const thumbnailPath = getMediaPath(roomCode, thumbnailId);
+  try {
+    const { width, height } = await sharp(sourcePath).metadata();
+    const info = await sharp(sourcePath)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 70 })
+      .toFile(thumbnailPath);
+    return { id: thumbnailId, size: info.size, width, height };
+  } catch (error) {
+    console.error('❌ Thumbnail error:', error.message);
+    await fs.promises.rm(thumbnailPath, { force: true });
+    return null;
+  }
+}
+
+// ✅ SES METADATA
+// ID3v2, MP4 ve Ogg etiketleri music-metadata ile okunur. Biçim içerikten tespit edilir
+// (MIME ipucu rastgele veriyi de ses sandırabiliyor); süresi çıkarılamayan dosyalar geçersizdir.
+async function extractAudioMetadata(buffer) {
+  let metadata;
+  try {
+    metadata = await musicMetadata.parseBuffer(buffer, undefined, { duration: true });
+  } catch (error) {
+    return null;
+  }
+
+  const { format, common } = metadata;
+  if (!(format.duration > 0)) return null;
+
+  const tag = value => (typeof value === 'string' && value.trim() ? value.trim().slice(0, TRACK_TAG_LENGTH) : null);
+  return {
+    title: tag(common.title),
+    artist: tag(common.artist),
+    album: tag(common.album),
+    duration: Math.round(format.duration * 1000) / 1000,
+    picture: common.picture?.[0] || null
+  };
+}
+
+// Kapak resmi sharp varsa küçültülür, yoksa boyutu uygunsa olduğu gibi saklanır
+async function saveCoverArt(room, picture) {
+  const thumbnail = await createThumbnail(room.code, picture.data);
+  if (thumbnail) {
+    return { id: thumbnail.id, size: thumbnail.size, mimeType: 'image/webp' };
+  }
+
+  const mimeType = sniffMimeType(picture.data.subarray(0, 64));
+  if (!THUMBNAIL_SOURCE_TYPES.includes(mimeType) || picture.data.length > MAX_COVER_ART_SIZE) return null;
+
+  const coverId = generateMediaId();
+  await fs.promises.writeFile(getMediaPath(room.code, coverId), picture.data);
+  return { id: coverId, size: picture.data.length, mimeType };
+}
+
+function getAttachmentInfo(roomCode, media) {
+  return {
+    id: media.id,
+    url: getMediaUrl(roomCode, media.id),
+    thumbnailUrl: media.thumbnailId ? getMediaUrl(roomCode, media.thumbnailId) : null,
+    fileName: media.fileName,
+    mimeType: media.mimeType,
+    size: media.size,
+    width: media.width || null,
+    height: media.height || null
+  };
+}
+
+function removeAttachment(room, attachmentId) {
+  const media = getRoomMedia(room, attachmentId);
+  if (!media || media.kind !== 'attachment') return;
+
+  [media.id, media.thumbnailId].filter(Boolean).forEach(mediaId => {
+    delete room.media[mediaId];
+    fs.promises.rm(getMediaPath(room.code, mediaId), { force: true }).catch(() => {});
+  });
+}
+
+// Tek aralıklı "bytes=start-end" başlığını çözer, geçersizse -1 döner
+function parseRangeHeader(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return -1;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return -1;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return -1;
+  return { start, end };
+}
+
+function getUploadStatus(upload) {
+  return {
+    uploadId: upload.id,
+    offset: upload.received,
+    total: upload.size,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    progress: upload.size ? Math.round((upload.received / upload.size) * 100) : 100
+  };
+}
+
+function getUserRole(room, user) {
+  if (room.owner === user.id) return 'owner';
+  return user.role || 'member';
+}
+
+function hasPermission(room, user, action) {
+  const required = room.permissions[action] || 'owner';
+  return ROLE_RANK[getUserRole(room, user)] >= ROLE_RANK[required];
+}
+
 function updateUserList(roomCode) {
   const room = rooms.get(roomCode);
   if (!room) return;
   
   const userList = Array.from(room.users.values()).map(user => ({
-    id: user.id,
+    id: user.userId,
     userName: user.userName,
     userPhoto: user.userPhoto,
     userColor: user.userColor,
     isOwner: user.isOwner,
+    role: getUserRole(room, user),
+    connected: user.connected !== false,
     country: user.country,
-    isInCall: activeCalls.has(user.id)
+    isInCall: Boolean(getCallParticipant(roomCode, user.userId)),
+    callMedia: getCallMedia(roomCode, user.userId),
+    presence: getPresence(room, user)
   }));
   
   io.to(roomCode).emit('user-list-update', userList);
+  notifyLobby(roomCode);
 }
 
-// ✅ BAĞLANTI SAĞLIK KONTROLÜ
-function startConnectionHealthCheck() {
-  setInterval(() => {
-    const now = Date.now();
-    
-    for (const [socketId, connection] of connectionMonitor.entries()) {
-      const timeSinceLastPing = now - connection.lastPing;
-      
-      if (timeSinceLastPing > 40000) {
-        const socket = io.sockets.sockets.get(socketId);
-        if (socket) {
-          console.log(`🔌 Timeout disconnect: ${socketId}`);
-          socket.disconnect(true);
-        }
-        connectionMonitor.delete(socketId);
-      }
-    }
-  }, 20000);
+// İstemciye açılan kimlik userId'dir; soket kimliği yeniden bağlanınca değişir
+function findUserById(room, userId) {
+  for (const user of room.users.values()) {
+    if (user.userId === userId) return user;
+  }
+  return null;
 }
 
-// Middleware
-app.use(express.json({ limit: '100mb' }));
-app.use(express.urlencoded({ extended: true, limit: '100mb' }));
-app.use(express.static(path.join(__dirname, 'public')));
+// Aynı odada aynı isim (büyük/küçük harf fark etmeksizin) varsa sonuna (2), (3)... eklenir.
+// tr-TR küçültme I'yı ı yaptığı için dile bağlı olmayan toLowerCase kullanılır.
+function getUniqueUserName(room, userName) {
+  const taken = new Set(Array.from(room.users.values()).map(user => user.userName.toLowerCase()));
+  let candidate = userName;
 
-// ✅ RENDER HEALTH CHECK
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
+  for (let suffix = 2; taken.has(candidate.toLowerCase()); suffix++) {
+    const tail = ` (${suffix})`;
+    candidate = Array.from(userName).slice(0, USERNAME_MAX_LENGTH - tail.length).join('').trimEnd() + tail;
+  }
+
+  return candidate;
+}
+
+// Ekran paylaşımı ve arama, istemcinin bildirdiği durumun önüne geçer
+function getPresence(room, user) {
+  if (user.connected === false) return 'away';
+  if (getUserScreenShare(room, user.userId)) return 'sharing';
+  if (getCallParticipant(room.code, user.userId)) return 'in-call';
+  return user.presence || 'active';
+}
+
+// Odaya katılan veya oturumu devam eden kullanıcıya gönderilen oda durumu
+function getRoomState(room, user) {
+  const roomMessages = messages.get(room.code) || [];
+
+  return {
+    roomCode: room.code,
+    roomName: room.name,
+    userId: user.userId,
+    userName: user.userName,
+    isOwner: room.owner === user.id,
+    role: getUserRole(room, user),
+    permissions: room.permissions,
+    userColor: user.userColor,
+    previousMessages: roomMessages.slice(-HISTORY_PAGE_SIZE),
+    hasMoreHistory: roomMessages.length > HISTORY_PAGE_SIZE,
+    pinnedMessages: getPinnedMessages(room),
+    activeVideo: room.video,
+    playbackState: getPlaybackSnapshot(room.playbackState),
+    queue: room.queue,
+    queueVoting: room.queueSettings.voting,
+    screenShares: room.screenShares,
+    playlist: getPlaylistUsers(room.code),
+    playlistProgress: getPlaylistProgress(room.code),
+    musicPlayer: getMusicPlayerState(room),
+    call: getCallSnapshot(room.code),
+    slowModeSeconds: room.slowModeSeconds,
+    screenShareAutoApprove: room.screenShareAutoApprove,
+    visibility: room.visibility || 'private',
+    tags: room.tags || [],
+    description: room.description || '',
+    sessionToken: createSessionToken(user.sessionId, room.code)
+  };
+}
+
+// ✅ OTURUM TOKENLARI
+// Token: base64url(payload).base64url(HMAC-SHA256(payload))
+function signSessionPayload(encoded) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(encoded).digest('base64url');
+}
+
+function createSessionToken(sessionId, roomCode) {
+  const encoded = Buffer.from(JSON.stringify({ sid: sessionId, room: roomCode, iat: Date.now() })).toString('base64url');
+  return `${encoded}.${signSessionPayload(encoded)}`;
+}
+
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(signSessionPayload(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findUserBySession(room, sessionId) {
+  return Array.from(room.users.values()).find(user => user.sessionId === sessionId) || null;
+}
+
+// Bağlantısı kopmuş ama bekleme süresindeki kullanıcılar odada sayılır, mevcut sayılmaz
+function isUserPresent(room, userId) {
+  const user = room.users.get(userId);
+  return Boolean(user && user.connected !== false);
+}
+
+// Kullanıcıyı odadan tamamen çıkarır; çağrı ve ekran paylaşımı da sonlanır
+function removeUserFromRoom(roomCode, socketId) {
+  const room = rooms.get(roomCode);
+  const user = room?.users.get(socketId);
+  if (!room || !user) return;
+  
+  removeCallParticipant(roomCode, user.userId, 'left-room');
+  
+  // Kullanıcının paylaşımı durur, diğer sunuculara izleyicinin ayrıldığı bildirilir
+  const ownShare = getUserScreenShare(room, user.userId);
+  if (ownShare) {
+    stopScreenShare(roomCode, ownShare.shareId, null);
+  }
+  
+  room.users.delete(socketId);
+  users.delete(socketId);
+  notifyPresenters(room, 'screen-share-viewer-left', user.userId);
+  
+  io.to(roomCode).emit('user-left', { userName: user.userName });
+  updateUserList(roomCode);
+  clearScreenShareRequest(user.userId, 'left');
+  
+  // Boş oda, store'un TTL süresi dolunca silinir
+  if (room.users.size === 0) {
+    cancelOwnerMigration(roomCode);
+    store.markRoomEmpty(roomCode);
+  } else if (room.owner === socketId) {
+    scheduleOwnerMigration(roomCode);
+  }
+}
+
+// Yeni soket, kullanıcının eski soket kimliğine bağlı tüm kayıtları devralır
+function rebindUserSocket(room, user, newSocketId) {
+  const oldSocketId = user.id;
+
+  room.users.delete(oldSocketId);
+  user.id = newSocketId;
+  user.connected = true;
+  delete user.disconnectedAt;
+  room.users.set(newSocketId, user);
+
+  users.delete(oldSocketId);
+  users.set(newSocketId, { roomCode: room.code, ...user });
+
+  if (room.owner === oldSocketId) {
+    room.owner = newSocketId;
+    store.persist(room.code);
+  }
+}
+
+// ✅ ŞİFRE HASH'LEME - scrypt, format: scrypt$salt$hash
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(String(password ?? ''), Buffer.from(saltHex, 'hex'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ✅ GİRİŞ DENEMESİ SINIRLAMA
+// Hatalı girişler soket ve IP bazında sayılır; ücretsiz deneme hakkı bitince
+// her hatada bekleme süresi iki katına çıkar ve giriş tamamen reddedilir.
+// Oda bazındaki sayaç kimseyi kilitlemez, sadece hatalı cevapları geciktirir;
+// aksi halde herkes şifreyi bilenleri de odadan uzak tutabilirdi.
+function getClientIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (!forwarded || TRUSTED_PROXY_COUNT === 0) return socket.handshake.address;
+
+  // Baştaki girişleri istemci yazabilir, sadece güvenilen proxy'nin eklediği alınır
+  const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+  return hops[Math.max(0, hops.length - TRUSTED_PROXY_COUNT)] || socket.handshake.address;
+}
+
+function getJoinLimitKeys(socket) {
+  return [`socket:${socket.id}`, `ip:${getClientIp(socket)}`];
+}
+
+function getJoinRetryAfter(keys, now = Date.now()) {
+  let retryAfter = 0;
+
+  for (const key of keys) {
+    const entry = joinFailures.get(key);
+    if (entry && entry.lockedUntil > now) {
+      retryAfter = Math.max(retryAfter, entry.lockedUntil - now);
+    }
+  }
+  return retryAfter;
+}
+
+function recordJoinFailure(keys, now = Date.now()) {
+  for (const key of keys) {
+    const entry = joinFailures.get(key) || { failures: 0, lockedUntil: 0, lastFailure: 0 };
+    entry.failures++;
+    entry.lastFailure = now;
+
+    const freeAttempts = key.startsWith('room:') ? ROOM_FREE_ATTEMPTS : JOIN_FREE_ATTEMPTS;
+    if (entry.failures >= freeAttempts) {
+      const backoff = JOIN_BACKOFF_BASE * Math.pow(2, entry.failures - freeAttempts);
+      entry.lockedUntil = now + Math.min(backoff, JOIN_BACKOFF_MAX);
+    }
+
+    joinFailures.set(key, entry);
+  }
+}
+
+function clearJoinFailures(keys) {
+  keys.forEach(key => joinFailures.delete(key));
+}
+
+// Doğrulama başarılı olursa peşin sayılan deneme geri alınır
+function releaseJoinAttempt(key) {
+  const entry = joinFailures.get(key);
+  if (entry && entry.failures > 0) entry.failures--;
+}
+
+// ✅ HIZ SINIRLAMA
+function loadRateLimits() {
+  if (!process.env.RATE_LIMITS) return DEFAULT_RATE_LIMITS;
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    for (const [event, limit] of Object.entries(overrides)) {
+      limits[event] = { ...limits[event], ...limit };
+    }
+    return limits;
+  } catch (error) {
+    console.error('❌ RATE_LIMITS okunamadı, varsayılanlar kullanılıyor:', error.message);
+    return DEFAULT_RATE_LIMITS;
+  }
+}
+
+function refillBucket(bucket, limit, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.perSecond);
+  bucket.updatedAt = now;
+}
+
+// Jeton varsa harcar ve 0 döner, yoksa bir jetonun dolmasına kalan süreyi döner
+function takeToken(buckets, key, limit, now = Date.now()) {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { tokens: limit.capacity, updatedAt: now, notifiedUntil: 0 };
+    buckets.set(key, bucket);
+  }
+
+  refillBucket(bucket, limit, now);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  return Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000);
+}
+
+// Aynı event için bekleme süresi dolmadan tekrar bildirim gönderilmez
+function shouldNotifyRateLimit(buckets, key, retryAfterMs, now = Date.now()) {
+  const bucket = buckets.get(key);
+  if (!bucket || bucket.notifiedUntil > now) return false;
+
+  bucket.notifiedUntil = now + retryAfterMs;
+  return true;
+}
+
+// Slow mode açıkken moderasyon yetkisi olmayanlar belirlenen aralıkta bir mesaj gönderebilir
+function getSlowModeRetryAfter(room, user, now = Date.now()) {
+  if (!room.slowModeSeconds || hasPermission(room, user, 'moderate') || !user.lastMessageAt) return 0;
+  return Math.max(0, user.lastMessageAt + room.slowModeSeconds * 1000 - now);
+}
+
+// ✅ MODERASYON
+// Moderatör sadece kendinden düşük roldeki kullanıcılara işlem yapabilir
+function canModerate(room, actor, target) {
+  return ROLE_RANK[getUserRole(room, actor)] > ROLE_RANK[getUserRole(room, target)];
+}
+
+// Yasak ve susturma oturumla birlikte IP özetine de bağlanır; istemci tokenını
+// silip yeni oturum açsa bile aynı adresten gelirse yakalanır. Aynı NAT arkasındaki
+// herkes etkilenir, bu bilinçli bir tercih. Özet SESSION_SECRET ile anahtarlı HMAC'tir,
+// anahtar bilinmeden IP adresleri denenerek geri bulunamaz. SESSION_SECRET verilmezse
+// yeniden başlatma sonrası eski adres yasakları eşleşmez, oturum yasakları geçerli kalır.
+function hashClientIp(socket) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`ip:${getClientIp(socket)}`).digest('hex').slice(0, 32);
+}
+
+function isBanned(room, { sessionId, ipHash }) {
+  return room.bans.some(ban => (sessionId && ban.sessionId === sessionId) || (ipHash && ban.ipHash === ipHash));
+}
+
+function getActiveMute(room, user) {
+  const now = Date.now();
+  for (const [sessionId, mute] of Object.entries(room.mutes)) {
+    if (mute.until <= now) delete room.mutes[sessionId];
+  }
+
+  if (room.mutes[user.sessionId]) return room.mutes[user.sessionId];
+
+  // Adres eşleşmesi sadece susturmadan sonra açılan oturumlara uygulanır (çıkıp yeniden girme)
+  if (!user.ipHash || hasPermission(room, user, 'moderate')) return null;
+  return Object.values(room.mutes).find(mute => mute.ipHash === user.ipHash && user.joinedAt >= mute.mutedAt) || null;
+}
+
+// Oda sohbetine sistem mesajı ekler, geçmişte de saklanır
+function sendSystemMessage(roomCode, text) {
+  const message = {
+    id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+    userName: 'Sistem',
+    text: text,
+    type: 'system',
+    time: new Date().toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' }),
+    timestamp: new Date(),
+    edited: false,
+    deleted: false,
+    reactions: {},
+    seenBy: []
+  };
+
+  appendRoomMessage(roomCode, message);
+  io.to(roomCode).emit('message', message);
+}
+
+// ✅ MESAJ GEÇMİŞİ
+function appendRoomMessage(roomCode, message) {
+  const room = rooms.get(roomCode);
+  const roomMessages = messages.get(roomCode) || [];
+  roomMessages.push(message);
+
+  const retained = applyMessageRetention(room, roomMessages);
+  if (retained !== roomMessages && room) {
+    // Geçmişten düşen mesajların ekleri de silinir
+    const retainedIds = new Set(retained.map(msg => msg.id));
+    roomMessages
+      .filter(msg => msg.attachmentId && !retainedIds.has(msg.id))
+      .forEach(msg => removeAttachment(room, msg.attachmentId));
+  }
+  messages.set(roomCode, retained);
+  store.persist(roomCode);
+}
+
+function applyMessageRetention(room, roomMessages) {
+  const minTime = MESSAGE_RETENTION_DAYS > 0 ? Date.now() - MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000 : 0;
+  const firstKept = Math.max(0, roomMessages.length - MESSAGE_RETENTION_COUNT);
+  if (firstKept === 0 && (!minTime || new Date(roomMessages[0].timestamp).getTime() >= minTime)) {
+    return roomMessages;
+  }
+
+  const pinnedIds = new Set((room ? room.pinnedMessages : []).map(pin => pin.messageId));
+  return roomMessages.filter((msg, index) => pinnedIds.has(msg.id) ||
+    (index >= firstKept && new Date(msg.timestamp).getTime() >= minTime));
+}
+
+// Türkçe karakterler aksansız karşılıklarıyla eşleşir ("ayse" → "Ayşe", "istanbul" → "İstanbul")
+function normalizeSearchText(text) {
+  return text
+    .replace(/[ıI]/g, 'i')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+// ✅ ODA DİZİNİ
+// Sadece herkese açık odalar listelenir; lobi namespace'ine bağlanan istemciler
+// ilk sayfayı /api/rooms'tan alır, sonraki değişiklikler buradan yayınlanır.
+const lobby = io.of('/lobby');
+const lobbySnapshots = new Map();
+
+function isRoomListed(room) {
+  return Boolean(room) && room.visibility === 'public';
+}
+
+// Şifre özeti asla dışarı çıkmaz, sadece şifre gerekip gerekmediği bildirilir
+function getRoomSummary(room) {
+  return {
+    code: room.code,
+    name: room.name,
+    description: room.description || '',
+    tags: room.tags || [],
+    memberCount: Array.from(room.users.values()).filter(user => user.connected !== false).length,
+    videoTitle: room.video?.title || null,
+    passwordRequired: Boolean(room.passwordHash),
+    createdAt: room.createdAt
+  };
+}
+
+function listPublicRooms({ query, page, limit }) {
+  const needle = query ? normalizeSearchText(query) : null;
+  const matches = Array.from(rooms.values())
+    .filter(isRoomListed)
+    .filter(room => !needle || normalizeSearchText([room.name, room.description || '', ...(room.tags || [])].join(' ')).includes(needle))
+    .map(getRoomSummary)
+    .sort((a, b) => b.memberCount - a.memberCount || new Date(b.createdAt) - new Date(a.createdAt));
+
+  const start = (page - 1) * limit;
+  return {
+    rooms: matches.slice(start, start + limit),
+    page,
+    limit,
+    total: matches.length,
+    hasMore: start + limit < matches.length
+  };
+}
+
+// Özet değişmediyse yayın yapılmaz; gizlenen veya silinen oda lobiden düşer
+function notifyLobby(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!isRoomListed(room)) {
+    if (lobbySnapshots.delete(roomCode)) {
+      lobby.emit('room-removed', { code: roomCode });
+    }
+    return;
+  }
+
+  const summary = getRoomSummary(room);
+  const serialized = JSON.stringify(summary);
+  if (lobbySnapshots.get(roomCode) === serialized) return;
+
+  lobbySnapshots.set(roomCode, serialized);
+  lobby.emit('room-updated', summary);
+}
+
+// ✅ SOHBET DIŞA AKTARMA
+// Zamanlar ISO formatında verilir; silinen mesajın metni ve dosya içerikleri dışa aktarılmaz
+const EXPORT_FORMATS = ['json', 'txt', 'html'];
+
+function toExportMessage(msg) {
+  const reactions = {};
+  Object.values(msg.reactions || {}).forEach(reaction => {
+    reactions[reaction] = (reactions[reaction] || 0) + 1;
+  });
+
+  return {
+    id: msg.id,
+    type: msg.type,
+    userId: msg.userId || null,
+    userName: msg.userName,
+    text: msg.deleted ? null : (msg.text || null),
+    fileName: msg.deleted ? null : (msg.fileName || null),
+    fileSize: msg.deleted ? null : (msg.fileSize || null),
+    timestamp: new Date(msg.timestamp).toISOString(),
+    edited: Boolean(msg.edited),
+    editedAt: msg.editedAt || null,
+    deleted: Boolean(msg.deleted),
+    deletedAt: msg.deletedAt || null,
+    replyTo: msg.replyTo ? msg.replyTo.messageId : null,
+    reactions
+  };
+}
+
+function formatExportReactions(reactions) {
+  return Object.entries(reactions).map(([reaction, count]) => `${reaction}×${count}`).join(' ');
+}
+
+function renderTranscriptText(room, exported) {
+  const lines = [`${room.name} (${room.code}) - ${exported.exportedAt}`, ''];
+  exported.messages.forEach(msg => {
+    if (msg.type === 'system') {
+      lines.push(`[${msg.timestamp}] * ${msg.text}`);
+      return;
+    }
+
+    let line = `[${msg.timestamp}] ${msg.userName}: `;
+    if (msg.deleted) {
+      line += `(mesaj silindi${msg.deletedAt ? ` ${msg.deletedAt}` : ''})`;
+    } else {
+      line += [msg.text, msg.fileName && `[${msg.fileName}]`].filter(Boolean).join(' ');
+      if (msg.edited) line += ` (düzenlendi${msg.editedAt ? ` ${msg.editedAt}` : ''})`;
+    }
+    if (msg.replyTo) line += ` ↩ ${msg.replyTo}`;
+    const reactions = formatExportReactions(msg.reactions);
+    if (reactions) line += ` [${reactions}]`;
+    lines.push(line);
+  });
+  return lines.join('\n') + '\n';
+}
+
+function renderTranscriptHtml(room, exported) {
+  const rows = exported.messages.map(msg => {
+    const content = msg.deleted
+      ? `<em>Mesaj silindi${msg.deletedAt ? ` (${msg.deletedAt})` : ''}</em>`
+      : [msg.text && escapeMarkup(msg.text), msg.fileName && `📎 ${escapeMarkup(msg.fileName)}`].filter(Boolean).join('<br>');
+    const details = [
+      msg.edited && !msg.deleted ? `düzenlendi${msg.editedAt ? ` ${msg.editedAt}` : ''}` : null,
+      msg.replyTo ? `yanıt: ${msg.replyTo}` : null,
+      formatExportReactions(msg.reactions) || null
+    ].filter(Boolean).map(escapeMarkup).join(' · ');
+
+    return `<div class="message ${msg.type}" id="m-${escapeMarkup(msg.id)}">` +
+      `<time datetime="${msg.timestamp}">${msg.timestamp}</time> ` +
+      `<strong>${escapeMarkup(msg.userName)}</strong>: ${content}` +
+      (details ? `<div class="details">${details}</div>` : '') +
+      '</div>';
+  });
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${escapeMarkup(room.name)} - Sohbet Kaydı</title>
+<style>
+body { font-family: sans-serif; max-width: 800px; margin: 20px auto; }
+.message { padding: 6px 0; border-bottom: 1px solid #eee; }
+.message.system { color: #666; font-style: italic; }
+time { color: #999; font-size: 12px; }
+.details { color: #888; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeMarkup(room.name)} (${escapeMarkup(room.code)})</h1>
+<p>Dışa aktarma: ${exported.exportedAt}</p>
+${rows.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Eşleşen mesajlar yeniden eskiye döner; before imleci önceki sayfanın son mesajıdır
+function searchRoomMessages(roomCode, criteria) {
+  const query = criteria.query ? normalizeSearchText(criteria.query) : null;
+  const userName = criteria.userName ? normalizeSearchText(criteria.userName) : null;
+  const from = criteria.from ? Date.parse(criteria.from) : -Infinity;
+  // Sadece tarih verilen bitiş, o günün sonuna kadar kapsar
+  const to = criteria.to ? Date.parse(criteria.to) + (criteria.to.length === 10 ? 24 * 60 * 60 * 1000 - 1 : 0) : Infinity;
+
+  const results = [];
+  const roomMessages = messages.get(roomCode) || [];
+  let index = criteria.before ? roomMessages.findIndex(msg => msg.id === criteria.before) - 1 : roomMessages.length - 1;
+
+  for (; index >= 0 && results.length <= criteria.limit; index--) {
+    const msg = roomMessages[index];
+    if (msg.type === 'system' || msg.deleted) continue;
+
+    const time = new Date(msg.timestamp).getTime();
+    if (time < from || time > to) continue;
+    if (criteria.userId && msg.userId !== criteria.userId) continue;
+    if (userName && !normalizeSearchText(msg.userName).includes(userName)) continue;
+    if (query && !normalizeSearchText(`${msg.text || ''} ${msg.fileName || ''}`).includes(query)) continue;
+
+    results.push(msg);
+  }
+
+  return {
+    results: results.slice(0, criteria.limit),
+    hasMore: results.length > criteria.limit
+  };
+}
+
+function findRoomMessage(roomCode, messageId) {
+  return (messages.get(roomCode) || []).find(msg => msg.id === messageId) || null;
+}
+
+// Yanıt, alıntılanan mesajın o anki özetini taşır; zincirin kökü threadId olur
+function createReplyReference(parent) {
+  return {
+    messageId: parent.id,
+    threadId: parent.replyTo ? parent.replyTo.threadId : parent.id,
+    userId: parent.userId,
+    userName: parent.userName,
+    excerpt: parent.deleted ? '' : (parent.text || parent.fileName || '').slice(0, REPLY_EXCERPT_LENGTH)
+  };
+}
+
+// "@isim" odadaki kullanıcı adlarıyla eşleştirilir; isimler boşluk içerebildiği için
+// metin kelimelere bölünmez, uzun isimler önce denenir ("Ali (2)" "Ali"den önce)
+function extractMentions(room, text, authorId) {
+  if (!text || !text.includes('@')) return [];
+
+  let remaining = text.toLowerCase();
+  const mentioned = [];
+  const candidates = Array.from(room.users.values())
+    .filter(user => user.userId !== authorId)
+    .sort((a, b) => b.userName.length - a.userName.length);
+
+  candidates.forEach(user => {
+    const token = `@${user.userName.toLowerCase()}`;
+    let index = remaining.indexOf(token);
+    while (index !== -1) {
+      const end = index + token.length;
+      if (!/[\p{L}\p{N}_]/u.test(remaining.charAt(end))) {
+        if (!mentioned.includes(user.userId)) mentioned.push(user.userId);
+        // Eşleşen kısım silinir ki daha kısa bir isim aynı etiketi tekrar yakalamasın
+        remaining = remaining.slice(0, index) + ' '.repeat(token.length) + remaining.slice(end);
+      }
+      index = remaining.indexOf(token, index + 1);
+    }
+  });
+
+  return mentioned;
+}
+
+function notifyMentions(room, message, userIds) {
+  userIds.forEach(userId => {
+    const user = findUserById(room, userId);
+    if (!user) return;
+    io.to(user.id).emit('mention', {
+      messageId: message.id,
+      fromUserId: message.userId,
+      fromUserName: message.userName,
+      excerpt: (message.text || '').slice(0, REPLY_EXCERPT_LENGTH)
+    });
+  });
+}
+
+// Silinen veya geçmişten düşen mesajların sabitlemesi gösterilmez
+function getPinnedMessages(room) {
+  return room.pinnedMessages
+    .map(pin => {
+      const message = findRoomMessage(room.code, pin.messageId);
+      return message && !message.deleted ? { ...message, pinnedBy: pin.pinnedBy, pinnedAt: pin.pinnedAt } : null;
+    })
+    .filter(Boolean);
+}
+
+function unpinMessage(room, messageId) {
+  if (!room || !room.pinnedMessages.some(pin => pin.messageId === messageId)) return false;
+
+  room.pinnedMessages = room.pinnedMessages.filter(pin => pin.messageId !== messageId);
+  io.to(room.code).emit('message-unpinned', { messageId });
+  return true;
+}
+
+function addAuditEntry(roomCode, entry) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  const auditEntry = {
+    id: generateMediaId(),
+    at: new Date().toISOString(),
+    ...entry
+  };
+
+  room.auditLog.push(auditEntry);
+  if (room.auditLog.length > MAX_AUDIT_ENTRIES) {
+    room.auditLog = room.auditLog.slice(-MAX_AUDIT_ENTRIES);
+  }
+  store.persist(roomCode);
+
+  io.to(roomCode).emit('audit-entry', auditEntry);
+}
+
+// Kullanıcıyı bekleme süresi beklemeden odadan çıkarır
+function evictUser(roomCode, target) {
+  const timer = sessionGraceTimers.get(target.sessionId);
+  if (timer) {
+    clearTimeout(timer);
+    sessionGraceTimers.delete(target.sessionId);
+  }
+
+  const targetSocket = io.sockets.sockets.get(target.id);
+  removeUserFromRoom(roomCode, target.id);
+  if (targetSocket) {
+    targetSocket.leave(roomCode);
+  }
+}
+
+// ✅ SAHİPLİK DEVRİ
+function transferOwnership(roomCode, newOwnerId, reason) {
+  const room = rooms.get(roomCode);
+  const newOwner = room?.users.get(newOwnerId);
+  if (!newOwner) return false;
+
+  cancelOwnerMigration(roomCode);
+
+  const previousOwnerId = room.owner;
+  const previousOwner = room.users.get(previousOwnerId);
+  if (previousOwner) {
+    previousOwner.isOwner = false;
+    previousOwner.role = 'moderator';
+  }
+
+  room.owner = newOwner.id;
+  room.ownerSessionId = newOwner.sessionId;
+  newOwner.isOwner = true;
+  newOwner.role = 'owner';
+  store.persist(roomCode);
+
+  io.to(roomCode).emit('ownership-transferred', {
+    previousOwnerId: previousOwner?.userId || null,
+    previousOwnerName: previousOwner?.userName || room.ownerName || null,
+    newOwnerId: newOwner.userId,
+    newOwnerName: newOwner.userName,
+    reason
+  });
+  room.ownerName = newOwner.userName;
+  updateUserList(roomCode);
+
+  console.log(`👑 Ownership transferred: ${roomCode} -> ${newOwner.userName} (${reason})`);
+  return true;
+}
+
+// Sahip odada yoksa bekleme süresi sonunda en uzun süredir odada olan üyeye devredilir
+function scheduleOwnerMigration(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room || isUserPresent(room, room.owner) || ownerMigrationTimers.has(roomCode)) return;
+
+  const timer = setTimeout(() => {
+    ownerMigrationTimers.delete(roomCode);
+
+    const room = rooms.get(roomCode);
+    if (!room || isUserPresent(room, room.owner)) return;
+
+    const candidates = Array.from(room.users.values())
+      .filter(user => user.connected !== false)
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    if (candidates.length > 0) {
+      transferOwnership(roomCode, candidates[0].id, 'owner-left');
+    }
+  }, OWNER_GRACE_PERIOD);
+
+  ownerMigrationTimers.set(roomCode, timer);
+  io.to(roomCode).emit('owner-away', {
+    ownerName: room.ownerName || null,
+    migrateInMs: OWNER_GRACE_PERIOD
+  });
+}
+
+function cancelOwnerMigration(roomCode) {
+  const timer = ownerMigrationTimers.get(roomCode);
+  if (timer) {
+    clearTimeout(timer);
+    ownerMigrationTimers.delete(roomCode);
+  }
+}
+
+// ✅ GRUP ARAMALARI
+// Her odada en fazla bir arama oturumu vardır. Katılımcılar userId ile tutulur,
+// böylece yeniden bağlanan kullanıcı aramadan düşmez.
+function getCallParticipant(roomCode, userId) {
+  return callSessions.get(roomCode)?.participants.get(userId) || null;
+}
+
+function getCallMedia(roomCode, userId) {
+  const participant = getCallParticipant(roomCode, userId);
+  return participant ? { audioMuted: participant.audioMuted, videoMuted: participant.videoMuted } : null;
+}
+
+function getCallSnapshot(roomCode) {
+  const session = callSessions.get(roomCode);
+  if (!session) return null;
+
+  return {
+    callId: session.id,
+    type: session.type,
+    startedBy: session.startedBy,
+    startedAt: session.startedAt,
+    maxParticipants: MAX_CALL_PARTICIPANTS,
+    participants: Array.from(session.participants.values())
+  };
+}
+
+// Katılımcıyı oturuma ekler, oturum yoksa oluşturur; oturum doluysa null döner
+function addCallParticipant(roomCode, user, options) {
+  let session = callSessions.get(roomCode);
+  if (!session) {
+    session = {
+      id: generateMediaId(),
+      type: options.type,
+      startedBy: user.userName,
+      startedAt: new Date().toISOString(),
+      participants: new Map()
+    };
+    callSessions.set(roomCode, session);
+    io.to(roomCode).emit('call-started', { callId: session.id, type: session.type, startedBy: user.userName });
+  }
+
+  const existing = session.participants.get(user.userId);
+  if (existing) return existing;
+  if (session.participants.size >= MAX_CALL_PARTICIPANTS) return null;
+
+  const participant = {
+    userId: user.userId,
+    userName: user.userName,
+    joinedAt: new Date().toISOString(),
+    audioMuted: Boolean(options.audioMuted),
+    videoMuted: session.type === 'audio' || Boolean(options.videoMuted)
+  };
+  session.participants.set(user.userId, participant);
+  return participant;
+}
+
+// Son katılımcı çıkınca oturum kapanır; kullanıcı listesini çağıran günceller
+function removeCallParticipant(roomCode, userId, reason) {
+  const session = callSessions.get(roomCode);
+  if (!session || !session.participants.delete(userId)) return false;
+
+  io.to(roomCode).emit('call-participant-left', { callId: session.id, userId, reason });
+
+  if (session.participants.size === 0) {
+    callSessions.delete(roomCode);
+    io.to(roomCode).emit('call-ended', { callId: session.id });
+  }
+  return true;
+}
+
+// ✅ EKRAN PAYLAŞIMI
+// Paylaşımlar userId ile tutulur. Sunucu (presenter) odadaki her izleyiciye ayrı
+// offer gönderir; sinyaller sadece sunucu ile izleyicileri arasında iletilir.
+function getScreenShare(room, shareId) {
+  return room.screenShares.find(share => share.shareId === shareId) || null;
+}
+
+function getUserScreenShare(room, userId) {
+  return room.screenShares.find(share => share.userId === userId) || null;
+}
+
+function getScreenShareViewers(room, share) {
+  return Array.from(room.users.values())
+    .filter(user => user.userId !== share.userId && isUserPresent(room, user.id))
+    .map(user => user.userId);
+}
+
+// Paylaşım sınırı doluysa null döner
+function startScreenShare(roomCode, presenter) {
+  const room = rooms.get(roomCode);
+  if (!room || room.screenShares.length >= MAX_SCREEN_SHARES) return null;
+
+  const share = {
+    shareId: generateMediaId(),
+    userId: presenter.userId,
+    userName: presenter.userName,
+    startedAt: new Date().toISOString()
+  };
+  room.screenShares.push(share);
+
+  io.to(presenter.id).emit('screen-share-approved', {
+    shareId: share.shareId,
+    viewers: getScreenShareViewers(room, share)
+  });
+  io.to(roomCode).emit('screen-share-started', share);
+  updateUserList(roomCode);
+  return share;
+}
+
+function stopScreenShare(roomCode, shareId, stoppedBy) {
+  const room = rooms.get(roomCode);
+  const share = room && getScreenShare(room, shareId);
+  if (!share) return false;
+
+  room.screenShares = room.screenShares.filter(item => item !== share);
+  io.to(roomCode).emit('screen-share-stopped', { ...share, stoppedBy });
+  updateUserList(roomCode);
+  return true;
+}
+
+// Odaya sonradan katılan veya ayrılan izleyici, diğer kullanıcıların paylaşımlarının sunucularına bildirilir
+function notifyPresenters(room, event, viewerId) {
+  room.screenShares.forEach(share => {
+    const presenter = share.userId !== viewerId && findUserById(room, share.userId);
+    if (presenter) {
+      io.to(presenter.id).emit(event, { shareId: share.shareId, viewerId });
+    }
+  });
+}
+
+// ✅ EKRAN PAYLAŞIMI İSTEKLERİ
+// İstekler kullanıcı kimliğine göre tutulur, yeniden bağlanan kullanıcının isteği korunur
+function createScreenShareAutoApprove() {
+  return { moderators: true, userIds: [] };
+}
+
+// Oda sahibi, açıksa moderatörler ve listedeki kullanıcılar onay beklemeden paylaşır.
+// Onay yetkisi tek başına yetmez; moderatör ayarı kapatılınca moderatörler de onay bekler.
+function canAutoApproveScreenShare(room, user) {
+  const settings = room.screenShareAutoApprove;
+  const role = getUserRole(room, user);
+  return role === 'owner' ||
+    (settings.moderators && ROLE_RANK[role] >= ROLE_RANK.moderator) ||
+    settings.userIds.includes(user.userId);
+}
+
+function getScreenShareApproverIds(room, exceptUserId) {
+  return Array.from(room.users.values())
+    .filter(user => user.userId !== exceptUserId && isUserPresent(room, user.id) && hasPermission(room, user, 'approve-screen-share'))
+    .map(user => user.id);
+}
+
+function toScreenShareRequest(request) {
+  const { timer, roomCode, ...data } = request;
+  return data;
+}
+
+function getPendingScreenShareRequests(roomCode) {
+  return Array.from(screenShareRequests.values())
+    .filter(request => request.roomCode === roomCode)
+    .sort((a, b) => a.requestedAt - b.requestedAt)
+    .map(toScreenShareRequest);
+}
+
+function addScreenShareRequest(room, requester) {
+  const requestedAt = Date.now();
+  const request = {
+    requestId: generateMediaId(),
+    requesterId: requester.userId,
+    requesterName: requester.userName,
+    roomCode: room.code,
+    requestedAt,
+    expiresAt: requestedAt + SCREEN_SHARE_REQUEST_TTL
+  };
+  request.timer = setTimeout(() => {
+    const current = screenShareRequests.get(request.requesterId);
+    if (current !== request) return;
+
+    const user = findUserById(rooms.get(request.roomCode), request.requesterId);
+    if (user) {
+      io.to(user.id).emit('screen-share-request-expired', {
+        requestId: request.requestId,
+        ...createError('SCREEN_SHARE_REQUEST_EXPIRED')
+      });
+    }
+    clearScreenShareRequest(request.requesterId, 'expired');
+  }, SCREEN_SHARE_REQUEST_TTL);
+  screenShareRequests.set(request.requesterId, request);
+
+  io.to(getScreenShareApproverIds(room, requester.userId)).emit('screen-share-request', toScreenShareRequest(request));
+  return request;
+}
+
+// Onaylayıcılar, kuyruklarından düşürmeleri için isteğin neden kapandığını alır
+function clearScreenShareRequest(userId, reason) {
+  const request = screenShareRequests.get(userId);
+  if (!request) return null;
+
+  clearTimeout(request.timer);
+  screenShareRequests.delete(userId);
+
+  const room = rooms.get(request.roomCode);
+  if (room) {
+    io.to(getScreenShareApproverIds(room, userId)).emit('screen-share-request-removed', {
+      requestId: request.requestId,
+      requesterId: userId,
+      reason
+    });
+  }
+  return request;
+}
+
+// ✅ PLAYLIST
+// Playlist kullanıcı kimliğine göre tutulur; isim odadaki kullanıcıdan, yoksa yükleyen bilgisinden alınır
+function getPlaylistUsers(roomCode) {
+  const room = rooms.get(roomCode);
+  const roomPlaylist = userPlaylists.get(roomCode);
+  if (!room || !roomPlaylist) return [];
+
+  return Array.from(roomPlaylist.entries()).map(([userId, music]) => ({
+    userId,
+    userName: findUserById(room, userId)?.userName || music[0]?.uploader || null,
+    music
+  }));
+}
+
+// Parçası olan kullanıcıların odadaki kullanıcılara oranı
+function getPlaylistProgress(roomCode) {
+  const room = rooms.get(roomCode);
+  const roomPlaylist = userPlaylists.get(roomCode);
+  if (!room || !roomPlaylist || room.users.size === 0) return 0;
+
+  return Math.min(100, Math.round((roomPlaylist.size / room.users.size) * 100));
+}
+
+function findPlaylistTrack(roomCode, trackId) {
+  for (const [userId, music] of userPlaylists.get(roomCode) || new Map()) {
+    const index = music.findIndex(track => track.id === trackId);
+    if (index !== -1) return { userId, music, index, track: music[index] };
+  }
+  return null;
+}
+
+// Tam liste yerine sadece değişen parça yayınlanır; tam liste room-joined ile gelir
+function emitPlaylistUpdate(roomCode, update) {
+  io.to(roomCode).emit('playlist-updated', {
+    ...update,
+    uploadProgress: getPlaylistProgress(roomCode)
+  });
+}
+
+// Parça listeden çıkarılır, dosyası silinir; boş kalan kullanıcı listeden düşer
+function removePlaylistTrack(room, trackId) {
+  const entry = findPlaylistTrack(room.code, trackId);
+  if (!entry) return null;
+
+  entry.music.splice(entry.index, 1);
+  if (entry.music.length === 0) {
+    userPlaylists.get(room.code).delete(entry.userId);
+  }
+  [entry.track.mediaId, entry.track.coverId].filter(mediaId => getRoomMedia(room, mediaId)).forEach(mediaId => {
+    delete room.media[mediaId];
+    fs.promises.rm(getMediaPath(room.code, mediaId), { force: true }).catch(() => {});
+  });
+  store.persist(room.code);
+
+  emitPlaylistUpdate(room.code, { action: 'removed', userId: entry.userId, trackId });
+  syncMusicOrder(room);
+  return entry.track;
+}
+
+// ✅ ODA MÜZİK ÇALARI
+// Tüm kullanıcıların parçaları tek çalma sırasında birleşir: round-robin her kullanıcıdan
+// sırayla bir parça alır, shuffle karıştırır ve sonradan eklenenleri kalan kısma serpiştirir.
+// Konum, videodaki gibi sunucu saatine bağlı playback durumuyla tutulur.
+function createMusicPlayer(overrides = {}) {
+  return {
+    mode: 'round-robin',
+    order: [],
+    index: -1,
+    playback: createPlaybackState(),
+    ...overrides
+  };
+}
+
+function getRoomTracks(roomCode) {
+  const tracks = new Map();
+  (userPlaylists.get(roomCode) || new Map()).forEach(music => {
+    music.forEach(track => tracks.set(track.id, track));
+  });
+  return tracks;
+}
+
+function buildRoundRobinOrder(roomCode) {
+  const lists = Array.from((userPlaylists.get(roomCode) || new Map()).values());
+  const order = [];
+  const longest = Math.max(0, ...lists.map(music => music.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(music => {
+      if (music[i]) order.push(music[i].id);
+    });
+  }
+  return order;
+}
+
+function shuffleTrackIds(trackIds) {
+  const shuffled = [...trackIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function getCurrentTrackId(room) {
+  return room.musicPlayer.order[room.musicPlayer.index] || null;
+}
+
+function toTrackInfo(track) {
+  return {
+    id: track.id,
+    fileName: track.fileName,
+    url: track.url,
+    mimeType: track.mimeType,
+    title: track.title || null,
+    artist: track.artist || null,
+    album: track.album || null,
+    duration: track.duration || null,
+    coverUrl: track.coverUrl || null,
+    uploader: track.uploader,
+    uploaderId: track.uploaderId
+  };
+}
+
+function getMusicPlayerState(room, now = Date.now()) {
+  const player = room.musicPlayer;
+  const tracks = getRoomTracks(room.code);
+  const current = tracks.get(getCurrentTrackId(room));
+
+  return {
+    mode: player.mode,
+    nowPlaying: current ? toTrackInfo(current) : null,
+    index: player.index,
+    total: player.order.length,
+    upNext: player.order
+      .slice(player.index + 1, player.index + 1 + MUSIC_UP_NEXT_COUNT)
+      .filter(trackId => tracks.has(trackId))
+      .map(trackId => toTrackInfo(tracks.get(trackId))),
+    playback: getPlaybackSnapshot(player.playback, now)
+  };
+}
+
+function emitMusicState(roomCode) {
+  const room = rooms.get(roomCode);
+  if (room) {
+    io.to(roomCode).emit('music-state', getMusicPlayerState(room));
+  }
+}
+
+// index -1 veya sıranın dışı çalmayı durdurur
+function playMusicTrack(room, index, playing = true) {
+  const player = room.musicPlayer;
+  const valid = index >= 0 && index < player.order.length;
+  player.index = valid ? index : -1;
+  player.playback = createPlaybackState({ playing: valid && playing });
+  store.persist(room.code);
+  emitMusicState(room.code);
+}
+
+// Parça eklenip silindikçe sıra güncellenir; çalan parça silindiyse yerine sıradaki geçer
+function syncMusicOrder(room) {
+  const player = room.musicPlayer;
+  const tracks = getRoomTracks(room.code);
+  const currentId = getCurrentTrackId(room);
+  const previousIndex = player.index;
+
+  if (player.mode === 'round-robin') {
+    player.order = buildRoundRobinOrder(room.code);
+  } else {
+    const known = new Set(player.order);
+    player.order = player.order.filter(trackId => tracks.has(trackId));
+    tracks.forEach((track, trackId) => {
+      if (known.has(trackId)) return;
+      const start = player.order.indexOf(currentId) + 1;
+      player.order.splice(start + crypto.randomInt(player.order.length - start + 1), 0, trackId);
+    });
+  }
+
+  if (!currentId) {
+    player.index = -1;
+  } else if (tracks.has(currentId)) {
+    player.index = player.order.indexOf(currentId);
+  } else {
+    playMusicTrack(room, Math.min(previousIndex, player.order.length - 1), player.playback.playing);
+    return;
+  }
+  store.persist(room.code);
+  emitMusicState(room.code);
+}
+
+function setMusicPlayMode(room, mode) {
+  const player = room.musicPlayer;
+  const currentId = getCurrentTrackId(room);
+  player.mode = mode;
+
+  if (mode === 'shuffle') {
+    // Çalan parça başta kalır, geri kalanı karıştırılır
+    const rest = Array.from(getRoomTracks(room.code).keys()).filter(trackId => trackId !== currentId);
+    player.order = currentId ? [currentId, ...shuffleTrackIds(rest)] : shuffleTrackIds(rest);
+    player.index = currentId ? 0 : -1;
+  } else {
+    player.order = buildRoundRobinOrder(room.code);
+    player.index = currentId ? player.order.indexOf(currentId) : -1;
+  }
+  store.persist(room.code);
+  emitMusicState(room.code);
+}
+
+// ✅ VİDEO KUYRUĞU
+function createQueueItem(fields) {
+  return {
+    id: generateMediaId(),
+    votes: [],
+    addedAt: new Date(),
+    ...fields
+  };
+}
+
+// Oylama açıksa en çok oy alan öne geçer, eşitlikte ekleme sırası korunur
+function sortQueue(room) {
+  if (!room.queueSettings.voting) return;
+
+  room.queue.sort((a, b) => {
+    if (b.votes.length !== a.votes.length) return b.votes.length - a.votes.length;
+    return new Date(a.addedAt) - new Date(b.addedAt);
+  });
+}
+
+function broadcastQueue(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  io.to(roomCode).emit('queue-updated', {
+    queue: room.queue,
+    voting: room.queueSettings.voting,
+    currentItemId: room.video?.itemId || null
+  });
+}
+
+function playQueueItem(roomCode, item) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  if (item.type === 'youtube') {
+    room.video = {
+      type: 'youtube',
+      itemId: item.id,
+      videoId: item.videoId,
+      url: item.url,
+      title: item.title,
+      uploadedBy: item.addedBy
+    };
+    room.playbackState = createPlaybackState({ playing: true, videoId: item.videoId });
+
+    io.to(roomCode).emit('youtube-video-shared', {
+      itemId: item.id,
+      videoId: item.videoId,
+      title: item.title,
+      sharedBy: item.addedBy,
+      playbackState: getPlaybackSnapshot(room.playbackState)
+    });
+  } else {
+    room.video = {
+      type: 'upload',
+      itemId: item.id,
+      mediaId: item.mediaId,
+      url: item.url,
+      title: item.title,
+      uploadedBy: item.addedBy,
+      uploadedAt: new Date()
+    };
+    room.playbackState = createPlaybackState();
+
+    io.to(roomCode).emit('video-uploaded', {
+      itemId: item.id,
+      videoUrl: item.url,
+      title: item.title,
+      uploadedBy: item.addedBy
+    });
+  }
+
+  store.persist(roomCode);
+  notifyLobby(roomCode);
+}
+
+// Oynatılan video yoksa hemen başlatır, varsa kuyruğa ekler
+function enqueueOrPlay(roomCode, item) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  if (room.video) {
+    room.queue.push(item);
+    sortQueue(room);
+    store.persist(roomCode);
+  } else {
+    playQueueItem(roomCode, item);
+  }
+
+  broadcastQueue(roomCode);
+}
+
+function advanceQueue(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  const next = room.queue.shift();
+  if (next) {
+    playQueueItem(roomCode, next);
+  } else {
+    room.playbackState = freezePlaybackState({ ...room.playbackState, playing: false });
+    store.persist(roomCode);
+    io.to(roomCode).emit('video-control', getPlaybackSnapshot(room.playbackState));
+  }
+
+  broadcastQueue(roomCode);
+}
+
+// ✅ BAĞLANTI SAĞLIK KONTROLÜ
+function startConnectionHealthCheck() {
+  setInterval(() => {
+    const now = Date.now();
+    
+    for (const [socketId, connection] of connectionMonitor.entries()) {
+      const timeSinceLastPing = now - connection.lastPing;
+      
+      if (timeSinceLastPing > 40000) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket) {
+          console.log(`🔌 Timeout disconnect: ${socketId}`);
+          socket.disconnect(true);
+        }
+        connectionMonitor.delete(socketId);
+      }
+    }
+    
+    // Tamamen dolmuş oda kovaları varsayılan halleriyle aynıdır, silinebilir
+    for (const [key, bucket] of roomRateBuckets.entries()) {
+      const limit = RATE_LIMITS[key.slice(key.indexOf(':') + 1)]?.room;
+      if (!limit) {
+        roomRateBuckets.delete(key);
+        continue;
+      }
+      refillBucket(bucket, limit, now);
+      if (bucket.tokens >= limit.capacity && bucket.notifiedUntil <= now) {
+        roomRateBuckets.delete(key);
+      }
+    }
+    
+    // Uzun süredir hata yapılmayan giriş denemesi kayıtlarını sil
+    for (const [key, entry] of joinFailures.entries()) {
+      if (now - entry.lastFailure > JOIN_FAILURE_WINDOW && entry.lockedUntil <= now) {
+        joinFailures.delete(key);
+      }
+    }
+  }, 20000);
+}
+
+// ✅ PERİYODİK OYNATMA SENKRONİZASYONU
+function startPlaybackSync() {
+  setInterval(() => {
+    const now = Date.now();
+
+    rooms.forEach((room, roomCode) => {
+      if (room.users.size === 0) return;
+      if (room.video && room.playbackState.playing) {
+        io.to(roomCode).emit('playback-sync', getPlaybackSnapshot(room.playbackState, now));
+      }
+      if (room.musicPlayer.playback.playing) {
+        io.to(roomCode).emit('music-sync', {
+          trackId: getCurrentTrackId(room),
+          ...getPlaybackSnapshot(room.musicPlayer.playback, now)
+        });
+      }
+    });
+  }, PLAYBACK_SYNC_INTERVAL);
+}
+
+// ✅ YARIM KALAN YÜKLEMELERİ TEMİZLE
+function startUploadCleanup() {
+  setInterval(() => {
+    const now = Date.now();
+
+    for (const [uploadId, upload] of uploads.entries()) {
+      if (now - upload.updatedAt > UPLOAD_EXPIRY) {
+        uploads.delete(uploadId);
+        fs.promises.rm(upload.partialPath, { force: true }).catch(() => {});
+        console.log(`🧹 Yarım yükleme silindi: ${uploadId}`);
+      }
+    }
+
+    expireUnclaimedAttachments(now);
+  }, 600000);
+}
+
+// Mesaja bağlanmamış (messageId'siz) eskimiş ekler küçük resimleriyle birlikte silinir
+function expireUnclaimedAttachments(now) {
+  rooms.forEach(room => {
+    const expired = Object.values(room.media || {}).filter(media => media.kind === 'attachment' &&
+      !media.messageId &&
+      now - new Date(media.uploadedAt).getTime() > UNCLAIMED_ATTACHMENT_TTL);
+    if (expired.length === 0) return;
+
+    expired.forEach(media => removeAttachment(room, media.id));
+    store.persist(room.code);
+    console.log(`🧹 ${expired.length} sahipsiz ek silindi: ${room.code}`);
+  });
+}
+
+// Middleware
+app.use(express.json({ limit: '1mb' }));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// ✅ RENDER HEALTH CHECK
+app.get('/health', (req, res) => {
+  res.status(200).json({ 
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
     connections: connectionMonitor.size,
     rooms: rooms.size,
     users: users.size,
-    activeCalls: activeCalls.size,
+    activeCalls: callSessions.size,
     memory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
   });
-});
+});
+
+// 🎬 YÜKLENEN MEDYA - RANGE DESTEKLİ STREAMING
+app.get('/media/:roomCode/:mediaId', (req, res) => {
+  serveMedia(req, res).catch(error => {
+    console.error('❌ Media serve error:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Medya gönderilemedi' });
+    }
+  });
+});
+
+// Express 4 async handler hatalarını yakalamaz; reddedilen söz serveMedia çağrısında ele alınır
+async function serveMedia(req, res) {
+  const room = rooms.get(req.params.roomCode);
+  const media = MEDIA_ID_PATTERN.test(req.params.mediaId) ? getRoomMedia(room, req.params.mediaId) : null;
+
+  if (!media) {
+    return res.status(404).json({ error: 'Medya bulunamadı' });
+  }
+
+  const filePath = getMediaPath(room.code, media.id);
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch (error) {
+    return res.status(404).json({ error: 'Medya bulunamadı' });
+  }
+
+  const size = stat.size;
+  const etag = `"${media.checksum || `${size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}`}"`;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  // Eski kayıtlardaki geçersiz tür başlığa yazılmaz
+  res.setHeader('Content-Type', MIME_TYPE_PATTERN.test(media.mimeType) ? media.mimeType : 'application/octet-stream');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  if (media.kind === 'attachment') {
+    // Tarayıcıda güvenle gösterilebilen türler dışındaki ekler indirilir
+    const inline = /^(image|audio|video)\//.test(media.mimeType) || media.mimeType === 'application/pdf';
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(media.fileName)}`);
+  }
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  const rangeHeader = req.headers.range;
+  const ifRange = req.headers['if-range'];
+
+  // Çoklu aralık istekleri desteklenmez, tüm dosya gönderilir
+  if (rangeHeader && !rangeHeader.includes(',') && (!ifRange || ifRange === etag)) {
+    range = parseRangeHeader(rangeHeader, size);
+
+    if (range === -1) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : {});
+  stream.on('error', (error) => {
+    console.error('❌ Media stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// 📄 SOHBET DIŞA AKTARMA - Sadece oda sahibi, oturum tokenı Authorization: Bearer ile gönderilir
+app.get('/rooms/:code/export', (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Desteklenmeyen format', formats: EXPORT_FORMATS });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const payload = verifySessionToken(authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+  if (!payload || payload.room !== roomCode) {
+    return res.status(401).json({ error: 'Geçersiz oturum' });
+  }
+
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return res.status(404).json({ error: ERROR_MESSAGES.ROOM_NOT_FOUND });
+  }
+
+  const user = findUserBySession(room, payload.sid);
+  if (!user || getUserRole(room, user) !== 'owner') {
+    return res.status(403).json({ error: ERROR_MESSAGES.PERMISSION_DENIED });
+  }
+
+  const exported = {
+    room: { code: room.code, name: room.name },
+    exportedAt: new Date().toISOString(),
+    messages: (messages.get(roomCode) || []).map(toExportMessage)
+  };
+  const fileName = `sohbet-${room.code}-${exported.exportedAt.slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Cache-Control', 'no-store');
+  if (format === 'txt') {
+    res.type('text/plain; charset=utf-8').send(renderTranscriptText(room, exported));
+  } else if (format === 'html') {
+    res.type('text/html; charset=utf-8').send(renderTranscriptHtml(room, exported));
+  } else {
+    res.json(exported);
+  }
+});
+
+// 🗂️ HERKESE AÇIK ODA LİSTESİ
+app.get('/api/rooms', (req, res) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || ROOM_LIST_PAGE_SIZE;
+  if (page < 1 || limit < 1 || limit > MAX_ROOM_LIST_PAGE_SIZE) {
+    return res.status(400).json({ error: 'Geçersiz sayfalama', maxLimit: MAX_ROOM_LIST_PAGE_SIZE });
+  }
+
+  const query = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(listPublicRooms({ query, page, limit }));
+});
+
+// ✅ RENDER BUILD HOOK
+app.post('/render-build-hook', (req, res) => {
+  console.log('🔨 Render build hook received');
+  res.status(200).json({ status: 'received' });
+});
+
+// Socket.io Events
+io.on('connection', (socket) => {
+  console.log('✅ User connected:', socket.id);
+  
+  connectionMonitor.set(socket.id, {
+    userName: 'Anonymous',
+    roomCode: null,
+    lastPing: Date.now(),
+    connectedAt: Date.now()
+  });
+
+  let currentUser = null;
+  let currentRoomCode = null;
+  let iceRefreshTimer = null;
+
+  // TURN bilgileri kullanıcıya özeldir; süre dolmadan yenisi aynı event ile gönderilir
+  function sendIceServers() {
+    clearTimeout(iceRefreshTimer);
+    
+    const config = getIceServers(currentUser?.userId || socket.id);
+    socket.emit('ice-servers', config);
+    
+    if (config.expiresAt) {
+      const delay = Math.min(config.expiresAt - TURN_REFRESH_MARGIN - Date.now(), MAX_TIMER_DELAY);
+      iceRefreshTimer = setTimeout(sendIceServers, delay);
+    }
+  }
+
+  sendIceServers();
+
+  const socketRateBuckets = new Map();
+
+  function emitError(code, details) {
+    socket.emit('error', createError(code, details));
+  }
+
+  // Soket ve oda kovalarından jeton alınamazsa event işlenmez, gönderen bilgilendirilir
+  function checkRateLimit(event) {
+    const limit = RATE_LIMITS[event];
+    if (!limit) return true;
+
+    const checks = [];
+    if (limit.socket) checks.push(['socket', socketRateBuckets, event, limit.socket]);
+    if (limit.room && currentRoomCode) checks.push(['room', roomRateBuckets, `${currentRoomCode}:${event}`, limit.room]);
+
+    for (const [scope, buckets, key, bucketLimit] of checks) {
+      const retryAfterMs = takeToken(buckets, key, bucketLimit);
+      if (retryAfterMs > 0) {
+        if (shouldNotifyRateLimit(buckets, key, retryAfterMs)) {
+          socket.emit('rate-limited', { event, scope, retryAfterMs });
+        }
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Tüm event'ler hız sınırı ve şema doğrulamasından geçerek kaydedilir; şeması olmayan event kaydedilemez
+  function on(event, handler) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) throw new Error(`Missing schema for socket event: ${event}`);
+
+    socket.on(event, (data) => {
+      if (!checkRateLimit(event)) return;
+
+      const { value, errors } = validatePayload(schema, data);
+      if (errors.length > 0) {
+        emitError('INVALID_PAYLOAD', { event, fields: errors });
+        return;
+      }
+      return handler(value);
+    });
+  }
+
+  // Odadan atılan/yasaklanan soketin closure'ında currentRoomCode ve currentUser kalır;
+  // soket hâlâ odanın kullanıcısı değilse odada hiçbir işlem yapamaz
+  function getCurrentRoom() {
+    const room = currentRoomCode && rooms.get(currentRoomCode);
+    return room && currentUser && room.users.get(socket.id) === currentUser ? room : null;
+  }
+
+  // Tüm yetki kontrolleri buradan geçer; yetki varsa odayı döner.
+  // Tabloda olmayan işlemler (rol atama, yetki düzenleme) sadece oda sahibine açıktır.
+  // silent: istemcinin kendiliğinden gönderdiği bildirimlerde (video/parça bitti) hata yayınlanmaz
+  function authorize(action, { silent = false } = {}) {
+    const room = getCurrentRoom();
+    if (!room) return null;
+    
+    if (!hasPermission(room, currentUser, action)) {
+      if (silent) return null;
+      socket.emit('permission-denied', {
+        action,
+        ...createError('PERMISSION_DENIED'),
+        requiredRole: room.permissions[action] || 'owner'
+      });
+      return null;
+    }
+    
+    return room;
+  }
+
+  // Token geçerliyse ve kullanıcı bekleme süresindeyse soketi eski kayda bağlar
+  function resumeSession(sessionToken, expectedRoomCode) {
+    const payload = verifySessionToken(sessionToken);
+    if (!payload || (expectedRoomCode && payload.room !== expectedRoomCode)) return false;
+    
+    const room = rooms.get(payload.room);
+    const user = room && findUserBySession(room, payload.sid);
+    if (!user) return false;
+    
+    const timer = sessionGraceTimers.get(user.sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      sessionGraceTimers.delete(user.sessionId);
+    }
+    
+    // Aynı oturum başka bir sekmede hâlâ açıksa eski bağlantı kapatılır
+    const previousSocket = io.sockets.sockets.get(user.id);
+    rebindUserSocket(room, user, socket.id);
+    if (previousSocket && previousSocket.id !== socket.id) {
+      previousSocket.disconnect(true);
+    }
+    
+    currentUser = user;
+    currentRoomCode = room.code;
+    socket.join(room.code);
+    store.markRoomActive(room.code);
+    
+    connectionMonitor.set(socket.id, {
+      ...connectionMonitor.get(socket.id),
+      userName: user.userName,
+      roomCode: room.code
+    });
+    
+    if (room.owner === socket.id) {
+      cancelOwnerMigration(room.code);
+    }
+    
+    socket.emit('session-resumed', getRoomState(room, user));
+    updateUserList(room.code);
+    
+    // Kopan bağlantının ekran paylaşımı bağlantıları da yeniden kurulur
+    notifyPresenters(room, 'screen-share-viewer-joined', user.userId);
+    const ownShare = getUserScreenShare(room, user.userId);
+    if (ownShare) {
+      socket.emit('screen-share-approved', {
+        shareId: ownShare.shareId,
+        viewers: getScreenShareViewers(room, ownShare),
+        resumed: true
+      });
+    }
+    
+    // Kopan bağlantının eski peer'ları geçersizdir; yeniden bağlanan taraf offer'ları tekrar başlatır
+    const participant = getCallParticipant(room.code, user.userId);
+    if (participant) {
+      socket.emit('call-joined', { ...getCallSnapshot(room.code), rejoined: true });
+      socket.to(room.code).emit('call-participant-joined', {
+        callId: callSessions.get(room.code).id,
+        participant,
+        rejoined: true
+      });
+    }
+    
+    console.log(`🔁 Session resumed: ${user.userName} -> ${room.code}`);
+    return true;
+  }
+
+  // ✅ PING-PONG SİSTEMİ
+  const pingInterval = setInterval(() => {
+    if (socket.connected) {
+      socket.emit('ping', { timestamp: Date.now() });
+      
+      const conn = connectionMonitor.get(socket.id);
+      if (conn) {
+        conn.lastPing = Date.now();
+        connectionMonitor.set(socket.id, conn);
+      }
+    }
+  }, 10000);
+
+  on('pong', () => {
+    const conn = connectionMonitor.get(socket.id);
+    if (conn) {
+      conn.lastPing = Date.now();
+      connectionMonitor.set(socket.id, conn);
+    }
+  });
+
+  // 🔁 OTURUM DEVAMI - Yeniden bağlanan istemci tokenını sunar
+  on('resume-session', (data) => {
+    try {
+      if (!resumeSession(data.sessionToken)) {
+        socket.emit('session-invalid', { code: 'SESSION_EXPIRED' });
+      }
+    } catch (error) {
+      console.error('❌ Resume session error:', error);
+      socket.emit('session-invalid', { code: 'SESSION_EXPIRED' });
+    }
+  });
+
+  // ⏱️ SAAT SENKRONİZASYONU - NTP benzeri el sıkışma
+  // İstemci offset = ((serverReceiveTime - clientTime) + (serverSendTime - clientReceiveTime)) / 2
+  on('time-sync', (data) => {
+    const serverReceiveTime = Date.now();
+    socket.emit('time-sync-response', {
+      clientTime: data.clientTime,
+      serverReceiveTime,
+      serverSendTime: Date.now()
+    });
+  });
+
+  // 🎯 ODA OLUŞTURMA
+  on('create-room', async (data) => {
+    try {
+      const { userName, userPhoto, roomName, password, visibility, description } = data;
+      const passwordHash = password ? await hashPassword(password) : null;
+      
+      let roomCode;
+      do {
+        roomCode = generateRoomCode();
+      } while (rooms.has(roomCode));
+      
+      const room = {
+        code: roomCode,
+        name: roomName,
+        passwordHash: passwordHash,
+        visibility,
+        tags: [...new Set(data.tags || [])],
+        description: description || '',
+        owner: socket.id,
+        ownerName: userName,
+        users: new Map(),
+        video: null,
+        playbackState: createPlaybackState(),
+        messages: [],
+        media: {},
+        queue: [],
+        queueSettings: { voting: false },
+        permissions: { ...DEFAULT_PERMISSIONS },
+        bans: [],
+        mutes: {},
+        auditLog: [],
+        slowModeSeconds: 0,
+        musicPlayer: createMusicPlayer(),
+        pinnedMessages: [],
+        screenShareAutoApprove: createScreenShareAutoApprove(),
+        createdAt: new Date(),
+        screenShares: []
+      };
+      
+      currentUser = {
+        id: socket.id,
+        userName: userName,
+        userPhoto: userPhoto || createDefaultAvatar(userName),
+        userColor: generateUserColor(userName),
+        isOwner: true,
+        role: 'owner',
+        country: 'Türkiye',
+        joinedAt: Date.now(),
+        userId: crypto.randomBytes(8).toString('hex'),
+        sessionId: crypto.randomBytes(16).toString('hex'),
+        ipHash: hashClientIp(socket)
+      };
+      room.ownerSessionId = currentUser.sessionId;
+      
+      room.users.set(socket.id, currentUser);
+      rooms.set(roomCode, room);
+      users.set(socket.id, { roomCode, ...currentUser });
+      store.persist(roomCode);
+      
+      currentRoomCode = roomCode;
+      socket.join(roomCode);
+      
+      connectionMonitor.set(socket.id, {
+        ...connectionMonitor.get(socket.id),
+        userName: userName,
+        roomCode: roomCode
+      });
+      
+      const shareableLink = `${process.env.RENDER_EXTERNAL_URL || 'http://localhost:10000'}?room=${roomCode}`;
+      
+      socket.emit('room-created', {
+        roomCode,
+        roomName,
+        isOwner: true,
+        role: 'owner',
+        userId: currentUser.userId,
+        userName: currentUser.userName,
+        permissions: room.permissions,
+        shareableLink,
+        userColor: currentUser.userColor,
+        visibility,
+        sessionToken: createSessionToken(currentUser.sessionId, roomCode)
+      });
+      notifyLobby(roomCode);
+      
+      console.log(`✅ Room created: ${roomCode} by ${userName}`);
+      
+    } catch (error) {
+      console.error('❌ Create room error:', error);
+      emitError('ROOM_CREATE_FAILED');
+    }
+  });
+
+  // 🔑 ODAYA KATILMA
+  on('join-room', async (data) => {
+    try {
+      const { roomCode, userName, userPhoto, password, sessionToken } = data;
+      const limitKeys = getJoinLimitKeys(socket);
+      const roomKey = `room:${roomCode}`;
+      
+      const retryAfterMs = getJoinRetryAfter(limitKeys);
+      if (retryAfterMs > 0) {
+        emitError('JOIN_RATE_LIMITED', { retryAfterMs });
+        return;
+      }
+      
+      const room = rooms.get(roomCode);
+      
+      // Olmayan oda kodları da sayılır, böylece kodlar taranamaz
+      if (!room) {
+        recordJoinFailure(limitKeys);
+        emitError('ROOM_NOT_FOUND');
+        return;
+      }
+      
+      // Yasaklı oturum odaya tekrar giremez
+      const tokenPayload = verifySessionToken(sessionToken);
+      const sessionId = tokenPayload && tokenPayload.room === room.code ? tokenPayload.sid : null;
+      if (sessionId && isBanned(room, { sessionId })) {
+        emitError('BANNED');
+        return;
+      }
+      
+      // Geçerli oturum tokenı varsa yeni kullanıcı yerine eski kayda bağlan
+      if (sessionToken && resumeSession(sessionToken, room.code)) return;
+      
+      // Kaydı silinmiş (örn. yeniden başlatma) sahip, tokenıyla sahipliği geri alır
+      const reclaimsOwnership = Boolean(sessionId && sessionId === room.ownerSessionId);
+      
+      // Adres eşleşmesi sadece yeni oturumlara uygulanır; sahip aynı adresteki
+      // yasaklı biri yüzünden kendi odasından kilitlenmez
+      if (!reclaimsOwnership && isBanned(room, { ipHash: hashClientIp(socket) })) {
+        emitError('BANNED');
+        return;
+      }
+      
+      if (room.passwordHash && !reclaimsOwnership) {
+        // scrypt beklenirken paralel gelen denemeler de sayılsın diye deneme peşin hatalı kaydedilir
+        recordJoinFailure([...limitKeys, roomKey]);
+        if (!(await verifyPassword(password, room.passwordHash))) {
+          const delay = Math.min(getJoinRetryAfter([roomKey]), ROOM_FAILURE_DELAY_MAX);
+          if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+          emitError('WRONG_PASSWORD');
+          return;
+        }
+        releaseJoinAttempt(roomKey);
+      }
+      
+      clearJoinFailures(limitKeys);
+      
+      const uniqueName = getUniqueUserName(room, userName);
+      currentUser = {
+        id: socket.id,
+        userName: uniqueName,
+        userPhoto: userPhoto || createDefaultAvatar(uniqueName),
+        userColor: generateUserColor(uniqueName),
+        isOwner: reclaimsOwnership,
+        role: reclaimsOwnership ? 'owner' : 'member',
+        country: 'Türkiye',
+        joinedAt: Date.now(),
+        userId: crypto.randomBytes(8).toString('hex'),
+        sessionId: reclaimsOwnership ? sessionId : crypto.randomBytes(16).toString('hex'),
+        ipHash: hashClientIp(socket)
+      };
+      
+      if (reclaimsOwnership) {
+        room.owner = socket.id;
+        room.ownerName = uniqueName;
+        cancelOwnerMigration(roomCode);
+        store.persist(roomCode);
+      }
+      
+      room.users.set(socket.id, currentUser);
+      users.set(socket.id, { roomCode, ...currentUser });
+      store.markRoomActive(roomCode);
+      currentRoomCode = roomCode;
+      socket.join(roomCode);
+      
+      connectionMonitor.set(socket.id, {
+        ...connectionMonitor.get(socket.id),
+        userName: currentUser.userName,
+        roomCode: roomCode
+      });
+      
+      socket.emit('room-joined', getRoomState(room, currentUser));
+      
+      socket.to(roomCode).emit('user-joined', { userName: currentUser.userName });
+      updateUserList(roomCode);
+      
+      // Devam eden paylaşımların sunucuları yeni izleyiciye offer gönderir
+      notifyPresenters(room, 'screen-share-viewer-joined', currentUser.userId);
+      
+      // Sahibi olmayan odaya (örn. yeniden başlatma sonrası) katılındığında devir süreci başlar
+      scheduleOwnerMigration(roomCode);
+      
+      console.log(`✅ User joined: ${currentUser.userName} -> ${roomCode}`);
+      
+    } catch (error) {
+      console.error('❌ Join room error:', error);
+      emitError('JOIN_FAILED');
+    }
+  });
 
-// ✅ RENDER BUILD HOOK
-app.post('/render-build-hook', (req, res) => {
-  console.log('🔨 Render build hook received');
-  res.status(200).json({ status: 'received' });
-});
+  // 🎬 VIDEO YÜKLEME - PARÇALI VE DEVAM ETTİRİLEBİLİR
+  on('upload-video', async (data) => {
+    try {
+      if (!authorize('share-video')) return;
+      
+      const { fileName, fileSize, mimeType, title, checksum } = data;
+      
+      const upload = {
+        id: crypto.randomBytes(16).toString('hex'),
+        roomCode: currentRoomCode,
+        fileName: fileName || 'video',
+        mimeType: mimeType || 'application/octet-stream',
+        title: title || 'Video',
+        size: fileSize,
+        checksum: checksum || null,
+        received: 0,
+        uploadedBy: currentUser.userName,
+        uploadedById: currentUser.userId,
+        uploaderSessionId: currentUser.sessionId,
+        partialPath: null,
+        writeQueue: Promise.resolve(),
+        updatedAt: Date.now()
+      };
+      upload.partialPath = path.join(PARTIAL_UPLOAD_DIR, upload.id);
+      
+      await fs.promises.mkdir(PARTIAL_UPLOAD_DIR, { recursive: true });
+      await fs.promises.writeFile(upload.partialPath, Buffer.alloc(0));
+      uploads.set(upload.id, upload);
+      
+      socket.emit('upload-ready', getUploadStatus(upload));
+      
+    } catch (error) {
+      console.error('❌ Upload error:', error);
+      emitError('UPLOAD_FAILED');
+    }
+  });
 
-// Socket.io Events
-io.on('connection', (socket) => {
-  console.log('✅ User connected:', socket.id);
-  
-  connectionMonitor.set(socket.id, {
-    userName: 'Anonymous',
-    roomCode: null,
-    lastPing: Date.now(),
-    connectedAt: Date.now()
+  // 📎 SOHBET EKİ YÜKLEME - Video ile aynı parçalı yükleme, tamamlanınca mesajda attachmentId kullanılır
+  on('upload-attachment', async (data) => {
+    try {
+      const room = authorize('chat');
+      if (!room) return;
+      
+      const { fileName, fileSize, mimeType, checksum } = data;
+      if (fileSize > MAX_ATTACHMENT_SIZE) {
+        emitError('ATTACHMENT_TOO_LARGE', { maxSize: MAX_ATTACHMENT_SIZE });
+        return;
+      }
+      // Bildirilen tür sadece erken ret içindir, asıl kontrol içerik üzerinden yapılır
+      if (mimeType && !isAttachmentTypeAllowed(mimeType)) {
+        emitError('ATTACHMENT_TYPE_NOT_ALLOWED', { allowedTypes: ALLOWED_ATTACHMENT_TYPES });
+        return;
+      }
+      if (getAttachmentUsage(room) + fileSize > ATTACHMENT_ROOM_QUOTA) {
+        emitError('ATTACHMENT_QUOTA_EXCEEDED', { quota: ATTACHMENT_ROOM_QUOTA });
+        return;
+      }
+      
+      const upload = {
+        id: crypto.randomBytes(16).toString('hex'),
+        kind: 'attachment',
+        roomCode: currentRoomCode,
+        fileName,
+        mimeType: mimeType || 'application/octet-stream',
+        size: fileSize,
+        checksum: checksum || null,
+        received: 0,
+        uploadedBy: currentUser.userName,
+        uploadedById: currentUser.userId,
+        uploaderSessionId: currentUser.sessionId,
+        partialPath: null,
+        writeQueue: Promise.resolve(),
+        updatedAt: Date.now()
+      };
+      upload.partialPath = path.join(PARTIAL_UPLOAD_DIR, upload.id);
+      
+      await fs.promises.mkdir(PARTIAL_UPLOAD_DIR, { recursive: true });
+      await fs.promises.writeFile(upload.partialPath, Buffer.alloc(0));
+      uploads.set(upload.id, upload);
+      
+      socket.emit('upload-ready', getUploadStatus(upload));
+      
+    } catch (error) {
+      console.error('❌ Attachment upload error:', error);
+      emitError('UPLOAD_FAILED');
+    }
   });
 
-  socket.emit('ice-servers', { servers: getIceServers() });
+  // 🎬 YÜKLEME DURUMU - Bağlantı koptuktan sonra kaldığı yerden devam için
+  // Yükleme onu başlatan oturuma bağlıdır; yeniden bağlanan aynı oturum devam edebilir
+  function getOwnUpload(uploadId) {
+    const upload = uploads.get(uploadId);
+    const room = getCurrentRoom();
+    if (!upload || !room || room.code !== upload.roomCode) return null;
+    return upload.uploaderSessionId === currentUser.sessionId ? upload : null;
+  }
 
-  let currentUser = null;
-  let currentRoomCode = null;
+  on('upload-status', (data) => {
+    const upload = getOwnUpload(data.uploadId);
+    
+    if (!upload) {
+      socket.emit('upload-error', { uploadId: data.uploadId, code: 'UPLOAD_NOT_FOUND' });
+      return;
+    }
+    
+    socket.emit('upload-ready', getUploadStatus(upload));
+  });
 
-  // ✅ PING-PONG SİSTEMİ
-  const pingInterval = setInterval(() => {
-    if (socket.connected) {
-      socket.emit('ping', { timestamp: Date.now() });
+  // 🎬 VİDEO PARÇASI
+  on('upload-chunk', (data) => {
+    const { uploadId, offset, data: chunk, checksum } = data;
+    const upload = getOwnUpload(uploadId);
+    
+    if (!upload) {
+      socket.emit('upload-error', { uploadId, code: 'UPLOAD_NOT_FOUND' });
+      return;
+    }
+    
+    // Parçalar sırayla diske yazılır
+    upload.writeQueue = upload.writeQueue.then(async () => {
+      if (!uploads.has(uploadId)) return;
       
-      const conn = connectionMonitor.get(socket.id);
-      if (conn) {
-        conn.lastPing = Date.now();
-        connectionMonitor.set(socket.id, conn);
+      if (offset !== upload.received) {
+        socket.emit('upload-error', { uploadId, code: 'OFFSET_MISMATCH', offset: upload.received });
+        return;
+      }
+      
+      if (offset + chunk.length > upload.size) {
+        socket.emit('upload-error', { uploadId, code: 'INVALID_CHUNK', offset: upload.received });
+        return;
+      }
+      
+      const chunkChecksum = crypto.createHash('sha256').update(chunk).digest('hex');
+      if (checksum && checksum !== chunkChecksum) {
+        socket.emit('upload-error', { uploadId, code: 'CHECKSUM_MISMATCH', offset: upload.received });
+        return;
+      }
+      
+      await fs.promises.appendFile(upload.partialPath, chunk);
+      upload.received += chunk.length;
+      upload.updatedAt = Date.now();
+      
+      if (upload.received < upload.size) {
+        socket.emit('upload-progress', { status: 'uploading', ...getUploadStatus(upload) });
+        return;
+      }
+      
+      if (upload.kind === 'attachment') {
+        await completeAttachmentUpload(upload);
+      } else {
+        await completeVideoUpload(upload);
       }
+    }).catch((error) => {
+      console.error('❌ Upload chunk error:', error);
+      socket.emit('upload-error', { uploadId, code: 'WRITE_FAILED', offset: upload.received });
+    });
+  });
+
+  // 🎬 YÜKLEMEYİ İPTAL ET
+  on('cancel-upload', (data) => {
+    const upload = getOwnUpload(data.uploadId);
+    if (!upload) return;
+    
+    uploads.delete(upload.id);
+    fs.promises.rm(upload.partialPath, { force: true }).catch(() => {});
+    socket.emit('upload-progress', { uploadId: upload.id, status: 'cancelled' });
+  });
+
+  async function completeVideoUpload(upload) {
+    uploads.delete(upload.id);
+    
+    const fileChecksum = await sha256File(upload.partialPath);
+    if (upload.checksum && fileChecksum !== upload.checksum) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, code: 'CHECKSUM_MISMATCH', offset: 0 });
+      return;
     }
-  }, 10000);
+    
+    // İstemcinin bildirdiği tür hiç kullanılmaz; baytlardan video olduğu anlaşılmayan dosya reddedilir
+    const sniffedType = sniffMimeType(await readFileHead(upload.partialPath));
+    if (!sniffedType || !sniffedType.startsWith('video/')) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, ...createError('INVALID_VIDEO') });
+      return;
+    }
+    
+    const room = rooms.get(upload.roomCode);
+    if (!room) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, code: 'ROOM_NOT_FOUND' });
+      return;
+    }
+    
+    // Yükleme sürerken atılan veya yetkisi alınan kullanıcının videosu sıraya girmez
+    const uploader = findUserById(room, upload.uploadedById);
+    if (!uploader || !hasPermission(room, uploader, 'share-video')) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, ...createError('PERMISSION_DENIED') });
+      return;
+    }
+    
+    const mediaId = generateMediaId();
+    await fs.promises.mkdir(path.join(MEDIA_DIR, room.code), { recursive: true });
+    await fs.promises.rename(upload.partialPath, getMediaPath(room.code, mediaId));
+    
+    room.media = room.media || {};
+    room.media[mediaId] = {
+      id: mediaId,
+      kind: 'video',
+      fileName: upload.fileName,
+      mimeType: sniffedType,
+      size: upload.size,
+      checksum: fileChecksum,
+      uploadedBy: upload.uploadedBy,
+      uploadedAt: new Date()
+    };
+    
+    const videoUrl = getMediaUrl(room.code, mediaId);
+    store.persist(room.code);
+    
+    enqueueOrPlay(room.code, createQueueItem({
+      type: 'upload',
+      mediaId: mediaId,
+      url: videoUrl,
+      title: upload.title,
+      addedBy: upload.uploadedBy,
+      addedById: upload.uploadedById
+    }));
+    
+    socket.emit('upload-progress', {
+      status: 'completed',
+      ...getUploadStatus(upload),
+      progress: 100,
+      url: videoUrl
+    });
+  }
 
-  socket.on('pong', () => {
-    const conn = connectionMonitor.get(socket.id);
-    if (conn) {
-      conn.lastPing = Date.now();
-      connectionMonitor.set(socket.id, conn);
+  async function completeAttachmentUpload(upload) {
+    uploads.delete(upload.id);
+    
+    const fileChecksum = await sha256File(upload.partialPath);
+    if (upload.checksum && fileChecksum !== upload.checksum) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, code: 'CHECKSUM_MISMATCH', offset: 0 });
+      return;
+    }
+    
+    const room = rooms.get(upload.roomCode);
+    const mimeType = sniffAttachmentType(await readFileHead(upload.partialPath, 512));
+    const uploader = room && findUserById(room, upload.uploadedById);
+    const rejection = !room ? 'ROOM_NOT_FOUND'
+      : !uploader || !hasPermission(room, uploader, 'chat') ? 'PERMISSION_DENIED'
+        : !isAttachmentTypeAllowed(mimeType) ? 'ATTACHMENT_TYPE_NOT_ALLOWED'
+          : getAttachmentUsage(room) + upload.size > ATTACHMENT_ROOM_QUOTA ? 'ATTACHMENT_QUOTA_EXCEEDED'
+            : null;
+    if (rejection) {
+      await fs.promises.rm(upload.partialPath, { force: true });
+      socket.emit('upload-error', { uploadId: upload.id, ...createError(rejection) });
+      return;
+    }
+    
+    room.media = room.media || {};
+    const attachmentId = generateMediaId();
+    const filePath = getMediaPath(room.code, attachmentId);
+    await fs.promises.mkdir(path.join(MEDIA_DIR, room.code), { recursive: true });
+    await fs.promises.rename(upload.partialPath, filePath);
+    
+    const attachment = {
+      id: attachmentId,
+      kind: 'attachment',
+      fileName: upload.fileName,
+      mimeType,
+      size: upload.size,
+      checksum: fileChecksum,
+      uploadedBy: upload.uploadedBy,
+      uploadedById: upload.uploadedById,
+      uploadedAt: new Date(),
+      thumbnailId: null
+    };
+    
+    if (THUMBNAIL_SOURCE_TYPES.includes(mimeType)) {
+      const thumbnail = await createThumbnail(room.code, filePath);
+      if (thumbnail) {
+        room.media[thumbnail.id] = {
+          id: thumbnail.id,
+          kind: 'thumbnail',
+          fileName: `${thumbnail.id}.webp`,
+          mimeType: 'image/webp',
+          size: thumbnail.size,
+          attachmentId,
+          uploadedAt: new Date()
+        };
+        attachment.thumbnailId = thumbnail.id;
+        attachment.width = thumbnail.width;
+        attachment.height = thumbnail.height;
+      }
+    }
+    
+    room.media[attachmentId] = attachment;
+    store.persist(room.code);
+    
+    socket.emit('upload-progress', {
+      status: 'completed',
+      ...getUploadStatus(upload),
+      progress: 100,
+      attachment: getAttachmentInfo(room.code, attachment)
+    });
+  }
+
+  // 📺 YOUTUBE PAYLAŞMA
+  on('share-youtube-link', (data) => {
+    try {
+      if (!authorize('share-video')) return;
+      
+      const { youtubeUrl, title } = data;
+      const videoId = extractYouTubeId(youtubeUrl);
+      
+      if (!videoId) {
+        emitError('INVALID_YOUTUBE_URL');
+        return;
+      }
+      
+      // Oynayan video varsa yerine geçmez, kuyruğa eklenir
+      enqueueOrPlay(currentRoomCode, createQueueItem({
+        type: 'youtube',
+        videoId: videoId,
+        url: youtubeUrl,
+        title: title || 'YouTube Video',
+        addedBy: currentUser.userName,
+        addedById: currentUser.userId
+      }));
+      
+    } catch (error) {
+      console.error('❌ YouTube share error:', error);
     }
   });
 
-  // 🎯 ODA OLUŞTURMA
-  socket.on('create-room', (data) => {
+  // 📋 KUYRUĞA EKLEME - YouTube linki veya odaya yüklenmiş video
+  on('queue-add', (data) => {
     try {
-      const { userName, userPhoto, roomName, password } = data;
+      const room = authorize('share-video');
+      if (!room) return;
       
-      let roomCode;
-      do {
-        roomCode = generateRoomCode();
-      } while (rooms.has(roomCode));
+      const { youtubeUrl, mediaId, title } = data;
+      let item;
       
-      const room = {
-        code: roomCode,
-        name: roomName,
-        password: password || null,
-        owner: socket.id,
-        users: new Map(),
-        video: null,
-        playbackState: { playing: false, currentTime: 0, playbackRate: 1 },
-        messages: [],
-        createdAt: new Date(),
-        screenSharing: null
-      };
+      if (youtubeUrl) {
+        const videoId = extractYouTubeId(youtubeUrl);
+        if (!videoId) {
+          emitError('INVALID_YOUTUBE_URL');
+          return;
+        }
+        item = createQueueItem({
+          type: 'youtube',
+          videoId: videoId,
+          url: youtubeUrl,
+          title: title || 'YouTube Video',
+          addedBy: currentUser.userName,
+          addedById: currentUser.userId
+        });
+      } else if (mediaId && getRoomMedia(room, mediaId)?.kind === 'video') {
+        item = createQueueItem({
+          type: 'upload',
+          mediaId: mediaId,
+          url: getMediaUrl(currentRoomCode, mediaId),
+          title: title || room.media[mediaId].fileName || 'Video',
+          addedBy: currentUser.userName,
+          addedById: currentUser.userId
+        });
+      } else {
+        emitError('VIDEO_NOT_FOUND');
+        return;
+      }
       
-      currentUser = {
-        id: socket.id,
-        userName: userName,
-        userPhoto: userPhoto || `data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect fill="${generateUserColor(userName)}" width="100" height="100"/><text x="50" y="60" font-size="40" text-anchor="middle" fill="white">${userName.charAt(0)}</text></svg>`,
-        userColor: generateUserColor(userName),
-        isOwner: true,
-        country: 'Türkiye'
-      };
+      enqueueOrPlay(currentRoomCode, item);
       
-      room.users.set(socket.id, currentUser);
-      rooms.set(roomCode, room);
-      users.set(socket.id, { roomCode, ...currentUser });
+    } catch (error) {
+      console.error('❌ Queue add error:', error);
+    }
+  });
+
+  // 📋 KUYRUKTAN ÇIKARMA - Kuyruk yöneticisi veya ekleyen kişi
+  on('queue-remove', (data) => {
+    try {
+      const { itemId } = data;
+      const room = getCurrentRoom();
+      if (!room) return;
+      
+      const index = room.queue.findIndex(item => item.id === itemId);
+      if (index === -1) return;
+      
+      if (room.queue[index].addedById !== currentUser.userId && !authorize('manage-queue')) return;
+      
+      room.queue.splice(index, 1);
+      store.persist(currentRoomCode);
+      broadcastQueue(currentRoomCode);
+      
+    } catch (error) {
+      console.error('❌ Queue remove error:', error);
+    }
+  });
+
+  // 📋 KUYRUK SIRALAMA - Oylama kapalıyken kuyruk yöneticisi sıralar
+  on('queue-reorder', (data) => {
+    try {
+      const { itemId, toIndex } = data;
+      const room = authorize('manage-queue');
+      if (!room) return;
+      
+      if (room.queueSettings.voting) {
+        emitError('QUEUE_VOTING_ENABLED');
+        return;
+      }
+      
+      const index = room.queue.findIndex(item => item.id === itemId);
+      if (index === -1) return;
+      
+      const [item] = room.queue.splice(index, 1);
+      room.queue.splice(Math.max(0, Math.min(toIndex, room.queue.length)), 0, item);
+      store.persist(currentRoomCode);
+      broadcastQueue(currentRoomCode);
+      
+    } catch (error) {
+      console.error('❌ Queue reorder error:', error);
+    }
+  });
+
+  // 👍 KUYRUK OYLAMA - Aynı oy tekrar gönderilirse geri alınır
+  on('queue-vote', (data) => {
+    try {
+      const { itemId } = data;
+      const room = authorize('queue-vote');
+      if (!room) return;
+      
+      const item = room.queue.find(item => item.id === itemId);
+      if (!item) return;
+      
+      const voteIndex = item.votes.indexOf(currentUser.userId);
+      if (voteIndex === -1) {
+        item.votes.push(currentUser.userId);
+      } else {
+        item.votes.splice(voteIndex, 1);
+      }
+      
+      sortQueue(room);
+      store.persist(currentRoomCode);
+      broadcastQueue(currentRoomCode);
+      
+    } catch (error) {
+      console.error('❌ Queue vote error:', error);
+    }
+  });
+
+  on('queue-set-voting', (data) => {
+    try {
+      const room = authorize('manage-queue');
+      if (!room) return;
+      
+      room.queueSettings.voting = data.enabled;
+      sortQueue(room);
+      store.persist(currentRoomCode);
+      broadcastQueue(currentRoomCode);
+      
+    } catch (error) {
+      console.error('❌ Queue voting error:', error);
+    }
+  });
+
+  // ⏭️ SIRADAKİ VİDEOYA GEÇ
+  on('queue-skip', () => {
+    if (!authorize('manage-queue')) return;
+    advanceQueue(currentRoomCode);
+  });
+
+  // 🏁 VİDEO BİTTİ - Sadece oynatma yetkisi olanların bildirimi sayılır,
+  // aynı video için gelen tekrar bildirimler yok sayılır
+  on('video-ended', (data) => {
+    const room = authorize('playback', { silent: true });
+    if (!room?.video || room.video.itemId !== data.itemId) return;
+    
+    advanceQueue(currentRoomCode);
+  });
+
+  // 🛡️ ROL ATAMA - Sadece oda sahibi
+  on('set-user-role', (data) => {
+    try {
+      const { userId, role } = data;
+      const room = authorize('set-user-role');
+      if (!room) return;
+      
+      const target = findUserById(room, userId);
+      if (!target || target.id === room.owner) {
+        emitError('INVALID_ROLE');
+        return;
+      }
+      
+      target.role = role;
+      io.to(currentRoomCode).emit('role-updated', {
+        userId: target.userId,
+        userName: target.userName,
+        role
+      });
+      updateUserList(currentRoomCode);
+      
+    } catch (error) {
+      console.error('❌ Set user role error:', error);
+    }
+  });
+
+  // 🚫 MODERASYON - Hedef kullanıcıyı bulur ve rütbe kontrolü yapar
+  function authorizeModeration(userId) {
+    const room = authorize('moderate');
+    if (!room) return null;
+    
+    const target = findUserById(room, userId);
+    if (!target || target === currentUser || !canModerate(room, currentUser, target)) {
+      socket.emit('permission-denied', { action: 'moderate', ...createError('MODERATION_NOT_ALLOWED') });
+      return null;
+    }
+    
+    return { room, target };
+  }
+
+  // 👢 ODADAN ATMA
+  on('kick-user', (data) => {
+    try {
+      const result = authorizeModeration(data.userId);
+      if (!result) return;
+      
+      const { target } = result;
+      const reason = data.reason || null;
+      
+      io.to(target.id).emit('kicked', { by: currentUser.userName, reason });
+      evictUser(currentRoomCode, target);
+      
+      sendSystemMessage(currentRoomCode, `👢 ${target.userName} odadan atıldı`);
+      addAuditEntry(currentRoomCode, {
+        action: 'kick',
+        actorName: currentUser.userName,
+        targetName: target.userName,
+        reason
+      });
+      
+    } catch (error) {
+      console.error('❌ Kick user error:', error);
+    }
+  });
+
+  // ⛔ YASAKLAMA - Oturum kimliği oda silinene kadar yasaklı kalır
+  on('ban-user', (data) => {
+    try {
+      const result = authorizeModeration(data.userId);
+      if (!result) return;
       
-      currentRoomCode = roomCode;
-      socket.join(roomCode);
+      const { room, target } = result;
+      const reason = data.reason || null;
       
-      connectionMonitor.set(socket.id, {
-        ...connectionMonitor.get(socket.id),
-        userName: userName,
-        roomCode: roomCode
+      room.bans.push({
+        sessionId: target.sessionId,
+        ipHash: target.ipHash,
+        userName: target.userName,
+        reason,
+        bannedBy: currentUser.userName,
+        bannedAt: new Date().toISOString()
       });
       
-      const shareableLink = `${process.env.RENDER_EXTERNAL_URL || 'http://localhost:10000'}?room=${roomCode}`;
+      io.to(target.id).emit('banned', { by: currentUser.userName, reason });
+      evictUser(currentRoomCode, target);
       
-      socket.emit('room-created', {
-        roomCode,
-        roomName,
-        isOwner: true,
-        shareableLink,
-        userColor: currentUser.userColor
+      sendSystemMessage(currentRoomCode, `⛔ ${target.userName} odadan yasaklandı`);
+      addAuditEntry(currentRoomCode, {
+        action: 'ban',
+        actorName: currentUser.userName,
+        targetName: target.userName,
+        reason
       });
       
-      console.log(`✅ Room created: ${roomCode} by ${userName}`);
-      
     } catch (error) {
-      console.error('❌ Create room error:', error);
-      socket.emit('error', { message: 'Oda oluşturulamadı!' });
+      console.error('❌ Ban user error:', error);
     }
   });
 
-  // 🔑 ODAYA KATILMA
-  socket.on('join-room', (data) => {
+  on('list-bans', () => {
+    const room = authorize('moderate');
+    if (!room) return;
+    
+    socket.emit('bans-list', { bans: room.bans.map(({ ipHash, ...ban }) => ban) });
+  });
+
+  on('unban-user', (data) => {
     try {
-      const { roomCode, userName, userPhoto, password } = data;
-      const room = rooms.get(roomCode.toUpperCase());
+      const room = authorize('moderate');
+      if (!room) return;
       
-      if (!room) {
-        socket.emit('error', { message: 'Oda bulunamadı!' });
-        return;
-      }
+      const index = room.bans.findIndex(ban => ban.sessionId === data.sessionId);
+      if (index === -1) return;
       
-      if (room.password && room.password !== password) {
-        socket.emit('error', { message: 'Şifre yanlış!' });
-        return;
-      }
+      const [ban] = room.bans.splice(index, 1);
       
-      currentUser = {
-        id: socket.id,
-        userName: userName,
-        userPhoto: userPhoto || `data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect fill="${generateUserColor(userName)}" width="100" height="100"/><text x="50" y="60" font-size="40" text-anchor="middle" fill="white">${userName.charAt(0)}</text></svg>`,
-        userColor: generateUserColor(userName),
-        isOwner: room.owner === socket.id,
-        country: 'Türkiye'
-      };
+      sendSystemMessage(currentRoomCode, `✅ ${ban.userName} kullanıcısının yasağı kaldırıldı`);
+      addAuditEntry(currentRoomCode, {
+        action: 'unban',
+        actorName: currentUser.userName,
+        targetName: ban.userName
+      });
       
-      room.users.set(socket.id, currentUser);
-      users.set(socket.id, { roomCode, ...currentUser });
-      currentRoomCode = roomCode;
-      socket.join(roomCode);
+    } catch (error) {
+      console.error('❌ Unban user error:', error);
+    }
+  });
+
+  // 🔇 SUSTURMA - Süre dolana kadar sohbete mesaj gönderemez
+  on('mute-user', (data) => {
+    try {
+      const result = authorizeModeration(data.userId);
+      if (!result) return;
       
-      connectionMonitor.set(socket.id, {
-        ...connectionMonitor.get(socket.id),
-        userName: userName,
-        roomCode: roomCode
-      });
+      const { room, target } = result;
+      const durationMs = data.durationMs || DEFAULT_MUTE_DURATION;
+      const until = Date.now() + durationMs;
       
-      const roomMessages = messages.get(roomCode) || [];
+      room.mutes[target.sessionId] = { until, mutedBy: currentUser.userName, mutedAt: Date.now(), ipHash: target.ipHash };
       
-      socket.emit('room-joined', {
-        roomCode: room.code,
-        roomName: room.name,
-        isOwner: room.owner === socket.id,
-        userColor: currentUser.userColor,
-        previousMessages: roomMessages.slice(-50),
-        activeVideo: room.video,
-        playbackState: room.playbackState,
-        screenSharing: room.screenSharing
+      io.to(target.id).emit('chat-muted', { until, mutedBy: currentUser.userName });
+      
+      sendSystemMessage(currentRoomCode, `🔇 ${target.userName} ${Math.ceil(durationMs / 60000)} dakika susturuldu`);
+      addAuditEntry(currentRoomCode, {
+        action: 'mute',
+        actorName: currentUser.userName,
+        targetName: target.userName,
+        durationMs
       });
       
-      socket.to(roomCode).emit('user-joined', { userName: currentUser.userName });
-      updateUserList(roomCode);
+    } catch (error) {
+      console.error('❌ Mute user error:', error);
+    }
+  });
+
+  on('unmute-user', (data) => {
+    try {
+      const result = authorizeModeration(data.userId);
+      if (!result) return;
+      
+      const { room, target } = result;
+      const mute = getActiveMute(room, target);
+      if (!mute) return;
       
-      console.log(`✅ User joined: ${userName} -> ${roomCode}`);
+      // Yeniden katılarak eski susturmayı IP üzerinden taşıyan kullanıcı da serbest kalır
+      for (const [sessionId, entry] of Object.entries(room.mutes)) {
+        if (sessionId === target.sessionId || (target.ipHash && entry.ipHash === target.ipHash)) {
+          delete room.mutes[sessionId];
+        }
+      }
+      io.to(target.id).emit('chat-unmuted');
+      
+      sendSystemMessage(currentRoomCode, `🔊 ${target.userName} kullanıcısının susturması kaldırıldı`);
+      addAuditEntry(currentRoomCode, {
+        action: 'unmute',
+        actorName: currentUser.userName,
+        targetName: target.userName
+      });
       
     } catch (error) {
-      console.error('❌ Join room error:', error);
-      socket.emit('error', { message: 'Odaya katılamadı!' });
+      console.error('❌ Unmute user error:', error);
     }
   });
 
-  // 🎬 VIDEO YÜKLEME
-  socket.on('upload-video', (data) => {
+  // 👑 SAHİPLİK DEVRİ - Sadece oda sahibi
+  on('transfer-ownership', (data) => {
     try {
-      if (!currentRoomCode || !currentUser || !currentUser.isOwner) {
-        socket.emit('error', { message: 'Yetkiniz yok' });
-        return;
+      const room = authorize('transfer-ownership');
+      if (!room) return;
+      
+      const target = findUserById(room, data.userId);
+      if (!target || target === currentUser || !transferOwnership(currentRoomCode, target.id, 'transferred')) {
+        emitError('USER_NOT_FOUND');
       }
       
-      const { videoBase64, title } = data;
-      const room = rooms.get(currentRoomCode);
+    } catch (error) {
+      console.error('❌ Transfer ownership error:', error);
+    }
+  });
+
+  // 🛡️ YETKİ TABLOSU GÜNCELLEME - Sadece oda sahibi
+  on('update-permissions', (data) => {
+    try {
+      const room = authorize('update-permissions');
+      if (!room) return;
       
-      room.video = {
-        url: videoBase64,
-        title: title || 'Video',
-        uploadedBy: currentUser.userName,
-        uploadedAt: new Date()
-      };
+      const updates = data.permissions;
+      for (const [action, role] of Object.entries(updates)) {
+        if (!Object.hasOwn(DEFAULT_PERMISSIONS, action) || !Object.hasOwn(ROLE_RANK, role)) {
+          emitError('INVALID_PERMISSION', { action });
+          return;
+        }
+      }
       
-      io.to(currentRoomCode).emit('video-uploaded', {
-        videoUrl: videoBase64,
-        title: title || 'Video',
-        uploadedBy: currentUser.userName
-      });
+      room.permissions = { ...room.permissions, ...updates };
+      store.persist(currentRoomCode);
       
-      socket.emit('upload-progress', { status: 'completed', progress: 100 });
+      io.to(currentRoomCode).emit('permissions-updated', { permissions: room.permissions });
       
     } catch (error) {
-      console.error('❌ Upload error:', error);
-      socket.emit('error', { message: 'Video yüklenemedi!' });
+      console.error('❌ Update permissions error:', error);
     }
   });
 
-  // 📺 YOUTUBE PAYLAŞMA
-  socket.on('share-youtube-link', (data) => {
+  // 🐢 YAVAŞ MOD - Sadece oda sahibi, 0 saniye kapatır
+  on('set-slow-mode', (data) => {
     try {
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('set-slow-mode');
+      if (!room) return;
       
-      const { youtubeUrl, title } = data;
-      const videoId = extractYouTubeId(youtubeUrl);
-      const room = rooms.get(currentRoomCode);
+      room.slowModeSeconds = data.seconds;
+      store.persist(currentRoomCode);
       
-      if (!videoId) {
-        socket.emit('error', { message: 'Geçersiz YouTube linki' });
-        return;
-      }
+      io.to(currentRoomCode).emit('slow-mode-updated', { seconds: room.slowModeSeconds });
+      sendSystemMessage(currentRoomCode, room.slowModeSeconds > 0
+        ? `🐢 Yavaş mod açıldı: ${room.slowModeSeconds} saniyede bir mesaj`
+        : '🐢 Yavaş mod kapatıldı');
+      addAuditEntry(currentRoomCode, {
+        action: 'slow-mode',
+        actorName: currentUser.userName,
+        seconds: room.slowModeSeconds
+      });
       
-      room.video = {
-        type: 'youtube',
-        videoId: videoId,
-        url: youtubeUrl,
-        title: title || 'YouTube Video',
-        uploadedBy: currentUser.userName
-      };
+    } catch (error) {
+      console.error('❌ Set slow mode error:', error);
+    }
+  });
 
-      room.playbackState = {
-        playing: true,
-        currentTime: 0,
-        playbackRate: 1,
-        videoId: videoId
-      };
+  // 🗂️ ODA DİZİNİ KAYDI - Sadece oda sahibi; görünürlük, etiketler ve açıklama birlikte güncellenir
+  on('update-room-listing', (data) => {
+    try {
+      const room = authorize('update-room-listing');
+      if (!room) return;
       
-      io.to(currentRoomCode).emit('youtube-video-shared', {
-        videoId: videoId,
-        title: title || 'YouTube Video',
-        sharedBy: currentUser.userName,
-        playbackState: room.playbackState
+      room.visibility = data.visibility;
+      room.tags = [...new Set(data.tags)];
+      room.description = data.description;
+      store.persist(currentRoomCode);
+      
+      io.to(currentRoomCode).emit('room-listing-updated', {
+        visibility: room.visibility,
+        tags: room.tags,
+        description: room.description
+      });
+      addAuditEntry(currentRoomCode, {
+        action: 'room-listing',
+        actorName: currentUser.userName,
+        visibility: room.visibility
       });
+      notifyLobby(currentRoomCode);
       
     } catch (error) {
-      console.error('❌ YouTube share error:', error);
+      console.error('❌ Update room listing error:', error);
     }
   });
 
   // 🎮 VIDEO KONTROLÜ
-  socket.on('video-control', (controlData) => {
-    if (!currentRoomCode || !currentUser || !currentUser.isOwner) return;
+  on('video-control', (controlData) => {
+    const room = authorize('playback');
+    if (!room) return;
     
-    const room = rooms.get(currentRoomCode);
-    room.playbackState = { ...room.playbackState, ...controlData };
+    room.playbackState = applyPlaybackControl(room.playbackState, controlData);
+    store.persist(currentRoomCode);
     
-    io.to(currentRoomCode).emit('video-control', room.playbackState);
+    io.to(currentRoomCode).emit('video-control', getPlaybackSnapshot(room.playbackState));
   });
 
-  socket.on('youtube-control', (controlData) => {
-    if (!currentRoomCode || !currentUser || !currentUser.isOwner) return;
+  on('youtube-control', (controlData) => {
+    const room = authorize('playback');
+    if (!room) return;
     
-    const room = rooms.get(currentRoomCode);
-    room.playbackState = { ...room.playbackState, ...controlData };
+    room.playbackState = applyPlaybackControl(room.playbackState, controlData);
+    store.persist(currentRoomCode);
     
-    socket.to(currentRoomCode).emit('youtube-control', room.playbackState);
+    socket.to(currentRoomCode).emit('youtube-control', getPlaybackSnapshot(room.playbackState));
   });
 
   // 🗑️ VIDEO SİLME
-  socket.on('delete-video', () => {
-    if (!currentRoomCode || !currentUser || !currentUser.isOwner) return;
+  on('delete-video', () => {
+    const room = authorize('playback');
+    if (!room) return;
     
-    const room = rooms.get(currentRoomCode);
     room.video = null;
-    room.playbackState = { playing: false, currentTime: 0, playbackRate: 1 };
+    room.playbackState = createPlaybackState();
+    store.persist(currentRoomCode);
     
     io.to(currentRoomCode).emit('video-deleted');
+    notifyLobby(currentRoomCode);
   });
 
   // 📨 MESAJ GÖNDERME
-  socket.on('message', (messageData) => {
+  on('message', (messageData) => {
     try {
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('chat');
+      if (!room) return;
+      
+      // Metin mesajı metin, dosya mesajları yüklenmiş bir ek içermelidir
+      const isText = messageData.type === 'text';
+      if (isText ? !messageData.text : !messageData.attachmentId) {
+        emitError('INVALID_PAYLOAD', { event: 'message', fields: [{ field: isText ? 'text' : 'attachmentId', code: 'REQUIRED' }] });
+        return;
+      }
+      
+      let attachment = null;
+      if (!isText) {
+        const media = getRoomMedia(room, messageData.attachmentId);
+        if (!media || media.kind !== 'attachment' || media.uploadedById !== currentUser.userId || media.messageId) {
+          emitError('ATTACHMENT_NOT_FOUND');
+          return;
+        }
+        // Resim ve ses mesajları ekin gerçek türüyle uyuşmalıdır
+        if (messageData.type !== 'file' && !media.mimeType.startsWith(`${messageData.type}/`)) {
+          emitError('ATTACHMENT_TYPE_NOT_ALLOWED', { allowedTypes: [`${messageData.type}/*`] });
+          return;
+        }
+        attachment = getAttachmentInfo(currentRoomCode, media);
+      }
+      
+      const mute = getActiveMute(room, currentUser);
+      if (mute) {
+        socket.emit('chat-muted', { until: mute.until, mutedBy: mute.mutedBy });
+        return;
+      }
+      
+      const slowModeRetryAfter = getSlowModeRetryAfter(room, currentUser);
+      if (slowModeRetryAfter > 0) {
+        socket.emit('rate-limited', { event: 'message', scope: 'slow-mode', retryAfterMs: slowModeRetryAfter });
+        return;
+      }
+      let replyTo;
+      if (messageData.replyTo) {
+        const parent = findRoomMessage(currentRoomCode, messageData.replyTo);
+        if (!parent || parent.type === 'system') {
+          emitError('MESSAGE_NOT_FOUND');
+          return;
+        }
+        replyTo = createReplyReference(parent);
+      }
+      currentUser.lastMessageAt = Date.now();
       
       const message = {
         id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
+        userId: currentUser.userId,
         userName: currentUser.userName,
         userPhoto: currentUser.userPhoto,
         userColor: currentUser.userColor,
         text: messageData.text,
-        type: messageData.type || 'text',
-        fileUrl: messageData.fileUrl,
-        fileName: messageData.fileName,
-        fileSize: messageData.fileSize,
+        type: messageData.type,
+        attachmentId: attachment ? attachment.id : undefined,
+        fileUrl: attachment ? attachment.url : undefined,
+        thumbnailUrl: attachment ? attachment.thumbnailUrl : undefined,
+        fileName: attachment ? attachment.fileName : undefined,
+        fileSize: attachment ? attachment.size : undefined,
+        mimeType: attachment ? attachment.mimeType : undefined,
         time: new Date().toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' }),
         country: currentUser.country,
         timestamp: new Date(),
         edited: false,
         deleted: false,
         reactions: {},
-        seenBy: [currentUser.userName]
+        seenBy: [currentUser.userName],
+        replyTo,
+        mentions: extractMentions(room, messageData.text, currentUser.userId)
       };
       
-      const roomMessages = messages.get(currentRoomCode) || [];
-      roomMessages.push(message);
-      
-      if (roomMessages.length > 100) {
-        messages.set(currentRoomCode, roomMessages.slice(-100));
-      } else {
-        messages.set(currentRoomCode, roomMessages);
+      if (attachment) {
+        room.media[attachment.id].messageId = message.id;
       }
-      
+      appendRoomMessage(currentRoomCode, message);
       io.to(currentRoomCode).emit('message', message);
+      notifyMentions(room, message, message.mentions);
       
     } catch (error) {
       console.error('❌ Message error:', error);
@@ -452,24 +3991,33 @@ io.on('connection', (socket) => {
   });
 
   // ✏️ MESAJ DÜZENLEME
-  socket.on('edit-message', (data) => {
+  on('edit-message', (data) => {
     try {
       const { messageId, newText } = data;
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('chat');
+      if (!room) return;
       
       const roomMessages = messages.get(currentRoomCode) || [];
       const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
       
-      if (messageIndex !== -1 && roomMessages[messageIndex].userName === currentUser.userName) {
-        roomMessages[messageIndex].text = newText;
-        roomMessages[messageIndex].edited = true;
-        roomMessages[messageIndex].editTime = new Date().toLocaleTimeString('tr-TR');
+      if (messageIndex !== -1 && roomMessages[messageIndex].userId === currentUser.userId) {
+        const message = roomMessages[messageIndex];
+        const previousMentions = message.mentions || [];
+        message.text = newText;
+        message.edited = true;
+        message.editTime = new Date().toLocaleTimeString('tr-TR');
+        message.editedAt = new Date().toISOString();
+        message.mentions = extractMentions(room, newText, currentUser.userId);
+        store.persist(currentRoomCode);
         
         io.to(currentRoomCode).emit('message-edited', {
           messageId: messageId,
           newText: newText,
-          editTime: roomMessages[messageIndex].editTime
+          editTime: message.editTime,
+          mentions: message.mentions
         });
+        // Düzenlemeyle yeni etiketlenenler bildirim alır
+        notifyMentions(room, message, message.mentions.filter(userId => !previousMentions.includes(userId)));
       }
     } catch (error) {
       console.error('❌ Edit message error:', error);
@@ -477,17 +4025,25 @@ io.on('connection', (socket) => {
   });
 
   // 🗑️ MESAJ SİLME
-  socket.on('delete-message', (data) => {
+  on('delete-message', (data) => {
     try {
       const { messageId } = data;
-      if (!currentRoomCode || !currentUser) return;
+      if (!authorize('chat')) return;
       
       const roomMessages = messages.get(currentRoomCode) || [];
       const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
       
-      if (messageIndex !== -1 && roomMessages[messageIndex].userName === currentUser.userName) {
+      if (messageIndex !== -1 && roomMessages[messageIndex].userId === currentUser.userId) {
         roomMessages[messageIndex].deleted = true;
         roomMessages[messageIndex].deletedTime = new Date().toLocaleTimeString('tr-TR');
+        roomMessages[messageIndex].deletedAt = new Date().toISOString();
+        const room = rooms.get(currentRoomCode);
+        unpinMessage(room, messageId);
+        // Silinen mesajın eki diskten kaldırılır ve kotaya geri döner
+        if (roomMessages[messageIndex].attachmentId) {
+          removeAttachment(room, roomMessages[messageIndex].attachmentId);
+        }
+        store.persist(currentRoomCode);
         
         io.to(currentRoomCode).emit('message-deleted', {
           messageId: messageId,
@@ -496,469 +4052,852 @@ io.on('connection', (socket) => {
         });
       }
     } catch (error) {
-      console.error('❌ Delete message error:', error);
+      console.error('❌ Delete message error:', error);
+    }
+  });
+
+  // ❤️ MESAJ REAKSİYONU
+  on('message-reaction', (data) => {
+    try {
+      const { messageId, reaction } = data;
+      if (!authorize('chat')) return;
+      
+      const roomMessages = messages.get(currentRoomCode) || [];
+      const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
+      
+      if (messageIndex !== -1) {
+        if (!roomMessages[messageIndex].reactions) {
+          roomMessages[messageIndex].reactions = {};
+        }
+        
+        if (roomMessages[messageIndex].reactions[currentUser.userId] === reaction) {
+          // Aynı reaksiyonu kaldır
+          delete roomMessages[messageIndex].reactions[currentUser.userId];
+        } else {
+          // Yeni reaksiyon ekle
+          roomMessages[messageIndex].reactions[currentUser.userId] = reaction;
+        }
+        store.persist(currentRoomCode);
+        
+        io.to(currentRoomCode).emit('message-reaction-updated', {
+          messageId: messageId,
+          reactions: roomMessages[messageIndex].reactions
+        });
+      }
+    } catch (error) {
+      console.error('❌ Message reaction error:', error);
+    }
+  });
+
+  // 👀 MESAJ GÖRÜLDÜ
+  on('message-seen', (data) => {
+    try {
+      const { messageId } = data;
+      if (!getCurrentRoom()) return;
+      
+      const roomMessages = messages.get(currentRoomCode) || [];
+      const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
+      
+      if (messageIndex !== -1 && !roomMessages[messageIndex].seenBy.includes(currentUser.userName)) {
+        roomMessages[messageIndex].seenBy.push(currentUser.userName);
+        store.persist(currentRoomCode);
+        
+        io.to(currentRoomCode).emit('message-seen-updated', {
+          messageId: messageId,
+          seenBy: roomMessages[messageIndex].seenBy
+        });
+      }
+    } catch (error) {
+      console.error('❌ Message seen error:', error);
+    }
+  });
+
+  // 📜 MESAJ GEÇMİŞİ - before imlecinden önceki mesajlar, imleç yoksa en yeniler
+  on('load-history', (data) => {
+    try {
+      const room = getCurrentRoom();
+      if (!room) return;
+      
+      const roomMessages = messages.get(currentRoomCode) || [];
+      const end = data.before ? roomMessages.findIndex(msg => msg.id === data.before) : roomMessages.length;
+      if (end === -1) {
+        emitError('MESSAGE_NOT_FOUND');
+        return;
+      }
+      
+      const start = Math.max(0, end - data.limit);
+      socket.emit('history-loaded', {
+        before: data.before || null,
+        messages: roomMessages.slice(start, end),
+        hasMore: start > 0
+      });
+    } catch (error) {
+      console.error('❌ Load history error:', error);
+    }
+  });
+
+  // 🔍 MESAJ ARAMA - Metin, yazar ve tarih aralığına göre
+  on('search-messages', (data) => {
+    try {
+      const room = getCurrentRoom();
+      if (!room) return;
+      
+      if (!data.query && !data.userId && !data.userName && !data.from && !data.to) {
+        emitError('INVALID_PAYLOAD', { event: 'search-messages', fields: [{ field: 'query', code: 'REQUIRED' }] });
+        return;
+      }
+      if ([data.from, data.to].some(date => date && Number.isNaN(Date.parse(date)))) {
+        emitError('INVALID_PAYLOAD', { event: 'search-messages', fields: [{ field: 'from', code: 'INVALID_FORMAT' }] });
+        return;
+      }
+      if (data.before && !findRoomMessage(currentRoomCode, data.before)) {
+        emitError('MESSAGE_NOT_FOUND');
+        return;
+      }
+      
+      socket.emit('search-results', {
+        query: data.query || null,
+        ...searchRoomMessages(currentRoomCode, data)
+      });
+    } catch (error) {
+      console.error('❌ Search messages error:', error);
+    }
+  });
+
+  // 📌 MESAJ SABİTLEME - Sadece oda sahibi
+  on('pin-message', (data) => {
+    try {
+      const room = authorize('pin-message');
+      if (!room) return;
+      
+      const message = findRoomMessage(currentRoomCode, data.messageId);
+      if (!message || message.deleted || message.type === 'system') {
+        emitError('MESSAGE_NOT_FOUND');
+        return;
+      }
+      if (room.pinnedMessages.some(pin => pin.messageId === message.id)) return;
+      if (room.pinnedMessages.length >= MAX_PINNED_MESSAGES) {
+        emitError('PIN_LIMIT', { max: MAX_PINNED_MESSAGES });
+        return;
+      }
+      
+      const pin = { messageId: message.id, pinnedBy: currentUser.userName, pinnedAt: new Date().toISOString() };
+      room.pinnedMessages.push(pin);
+      store.persist(currentRoomCode);
+      
+      io.to(currentRoomCode).emit('message-pinned', { ...message, pinnedBy: pin.pinnedBy, pinnedAt: pin.pinnedAt });
+      addAuditEntry(currentRoomCode, {
+        action: 'pin-message',
+        actorName: currentUser.userName,
+        messageId: message.id
+      });
+    } catch (error) {
+      console.error('❌ Pin message error:', error);
+    }
+  });
+
+  on('unpin-message', (data) => {
+    try {
+      const room = authorize('pin-message');
+      if (!room) return;
+      
+      if (unpinMessage(room, data.messageId)) {
+        store.persist(currentRoomCode);
+        addAuditEntry(currentRoomCode, {
+          action: 'unpin-message',
+          actorName: currentUser.userName,
+          messageId: data.messageId
+        });
+      }
+    } catch (error) {
+      console.error('❌ Unpin message error:', error);
+    }
+  });
+
+  // 🖥️ EKRAN PAYLAŞIMI İSTEĞİ
+  on('request-screen-share', () => {
+    try {
+      const room = authorize('screen-share');
+      if (!room) return;
+      
+      if (getUserScreenShare(room, currentUser.userId)) {
+        emitError('ALREADY_SHARING');
+        return;
+      }
+      if (room.screenShares.length >= MAX_SCREEN_SHARES) {
+        emitError('SCREEN_SHARE_LIMIT', { maxPresenters: MAX_SCREEN_SHARES });
+        return;
+      }
+      
+      if (canAutoApproveScreenShare(room, currentUser)) {
+        startScreenShare(currentRoomCode, currentUser);
+        return;
+      }
+      
+      if (screenShareRequests.has(currentUser.userId)) {
+        emitError('SCREEN_SHARE_REQUEST_PENDING');
+        return;
+      }
+      
+      // Onaylayıcı çevrimiçi değilse de istek kuyrukta bekler, süresi dolunca düşer
+      const request = addScreenShareRequest(room, currentUser);
+      socket.emit('screen-share-request-pending', {
+        requestId: request.requestId,
+        expiresAt: request.expiresAt
+      });
+    } catch (error) {
+      console.error('❌ Screen share request error:', error);
+    }
+  });
+
+  // 🖥️ EKRAN PAYLAŞIMI ONAYI
+  on('approve-screen-share', (data) => {
+    try {
+      const room = authorize('approve-screen-share');
+      if (!room) return;
+      
+      const request = screenShareRequests.get(data.requesterId);
+      const requester = findUserById(room, data.requesterId);
+      if (!request || request.roomCode !== currentRoomCode || !requester) {
+        emitError('SCREEN_SHARE_REQUEST_NOT_FOUND');
+        return;
+      }
+      
+      // Otomatik onayı kapatılan moderatör kendi isteğini onaylayamaz
+      if (requester.userId === currentUser.userId) {
+        socket.emit('permission-denied', { action: 'approve-screen-share', ...createError('PERMISSION_DENIED') });
+        return;
+      }
+      
+      clearScreenShareRequest(requester.userId, 'approved');
+      if (getUserScreenShare(room, requester.userId)) return;
+      
+      // Onay anında sınır dolmuşsa istek reddedilir
+      if (!startScreenShare(currentRoomCode, requester)) {
+        const limitError = createError('SCREEN_SHARE_LIMIT', { maxPresenters: MAX_SCREEN_SHARES });
+        socket.emit('error', limitError);
+        io.to(requester.id).emit('screen-share-rejected', limitError);
+      }
+    } catch (error) {
+      console.error('❌ Screen share approval error:', error);
     }
   });
 
-  // ❤️ MESAJ REAKSİYONU
-  socket.on('message-reaction', (data) => {
+  // 🖥️ EKRAN PAYLAŞIMI REDDİ
+  on('reject-screen-share', (data) => {
     try {
-      const { messageId, reaction } = data;
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('approve-screen-share');
+      if (!room) return;
       
-      const roomMessages = messages.get(currentRoomCode) || [];
-      const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
+      const request = screenShareRequests.get(data.requesterId);
+      if (!request || request.roomCode !== currentRoomCode) {
+        emitError('SCREEN_SHARE_REQUEST_NOT_FOUND');
+        return;
+      }
       
-      if (messageIndex !== -1) {
-        if (!roomMessages[messageIndex].reactions) {
-          roomMessages[messageIndex].reactions = {};
-        }
-        
-        if (roomMessages[messageIndex].reactions[currentUser.userName] === reaction) {
-          // Aynı reaksiyonu kaldır
-          delete roomMessages[messageIndex].reactions[currentUser.userName];
-        } else {
-          // Yeni reaksiyon ekle
-          roomMessages[messageIndex].reactions[currentUser.userName] = reaction;
-        }
-        
-        io.to(currentRoomCode).emit('message-reaction-updated', {
-          messageId: messageId,
-          reactions: roomMessages[messageIndex].reactions
-        });
+      clearScreenShareRequest(data.requesterId, 'rejected');
+      const requester = findUserById(room, data.requesterId);
+      if (requester) {
+        io.to(requester.id).emit('screen-share-rejected', { requestId: request.requestId });
       }
     } catch (error) {
-      console.error('❌ Message reaction error:', error);
+      console.error('❌ Screen share rejection error:', error);
     }
   });
 
-  // 👀 MESAJ GÖRÜLDÜ
-  socket.on('message-seen', (data) => {
+  // 🖥️ BEKLEYEN EKRAN PAYLAŞIMI İSTEKLERİ
+  on('list-screen-share-requests', () => {
     try {
-      const { messageId } = data;
-      if (!currentRoomCode || !currentUser) return;
-      
-      const roomMessages = messages.get(currentRoomCode) || [];
-      const messageIndex = roomMessages.findIndex(msg => msg.id === messageId);
+      const room = authorize('approve-screen-share');
+      if (!room) return;
       
-      if (messageIndex !== -1 && !roomMessages[messageIndex].seenBy.includes(currentUser.userName)) {
-        roomMessages[messageIndex].seenBy.push(currentUser.userName);
-        
-        io.to(currentRoomCode).emit('message-seen-updated', {
-          messageId: messageId,
-          seenBy: roomMessages[messageIndex].seenBy
-        });
-      }
+      socket.emit('screen-share-requests', { requests: getPendingScreenShareRequests(currentRoomCode) });
     } catch (error) {
-      console.error('❌ Message seen error:', error);
+      console.error('❌ List screen share requests error:', error);
     }
   });
 
-  // 🖥️ EKRAN PAYLAŞIMI İSTEĞİ
-  socket.on('request-screen-share', () => {
+  // 🖥️ OTOMATİK ONAY - Sadece oda sahibi; moderatörler ve kullanıcı listesi
+  on('set-screen-share-auto-approve', (data) => {
     try {
-      if (!currentRoomCode || !currentUser) return;
-      
-      const room = rooms.get(currentRoomCode);
+      const room = authorize('set-screen-share-auto-approve');
       if (!room) return;
       
-      // Oda sahibini bul
-      let ownerSocketId = null;
-      room.users.forEach((user, socketId) => {
-        if (user.isOwner) {
-          ownerSocketId = socketId;
-        }
-      });
-      
-      if (ownerSocketId) {
-        screenShareRequests.set(socket.id, {
-          requesterName: currentUser.userName,
-          requesterSocketId: socket.id,
-          roomCode: currentRoomCode,
-          timestamp: new Date()
-        });
-        
-        // Oda sahibine istek gönder
-        io.to(ownerSocketId).emit('screen-share-request', {
-          requesterName: currentUser.userName,
-          requesterSocketId: socket.id
-        });
-      }
+      room.screenShareAutoApprove.moderators = data.moderators;
+      applyScreenShareAutoApprove(room);
     } catch (error) {
-      console.error('❌ Screen share request error:', error);
+      console.error('❌ Set screen share auto approve error:', error);
     }
   });
 
-  // 🖥️ EKRAN PAYLAŞIMI ONAYI
-  socket.on('approve-screen-share', (data) => {
+  on('set-screen-share-whitelist', (data) => {
     try {
-      const { requesterSocketId } = data;
-      if (!currentRoomCode || !currentUser || !currentUser.isOwner) return;
+      const room = authorize('set-screen-share-auto-approve');
+      if (!room) return;
       
-      const request = screenShareRequests.get(requesterSocketId);
-      if (request) {
-        const room = rooms.get(currentRoomCode);
-        room.screenSharing = {
-          userName: request.requesterName,
-          socketId: requesterSocketId,
-          startedAt: new Date()
-        };
-        
-        // İstek sahibine onay gönder
-        io.to(requesterSocketId).emit('screen-share-approved');
-        
-        // Odadaki herkese bildir
-        io.to(currentRoomCode).emit('screen-share-started', {
-          userName: request.requesterName
-        });
-        
-        screenShareRequests.delete(requesterSocketId);
+      const target = findUserById(room, data.userId);
+      if (!target) {
+        emitError('USER_NOT_FOUND');
+        return;
+      }
+      
+      const settings = room.screenShareAutoApprove;
+      settings.userIds = settings.userIds.filter(userId => userId !== target.userId);
+      if (data.allowed) {
+        if (settings.userIds.length >= MAX_SCREEN_SHARE_WHITELIST) {
+          emitError('WHITELIST_FULL', { max: MAX_SCREEN_SHARE_WHITELIST });
+          return;
+        }
+        settings.userIds.push(target.userId);
       }
+      applyScreenShareAutoApprove(room);
     } catch (error) {
-      console.error('❌ Screen share approval error:', error);
+      console.error('❌ Set screen share whitelist error:', error);
     }
   });
 
-  // 🖥️ EKRAN PAYLAŞIMI REDDİ
-  socket.on('reject-screen-share', (data) => {
+  // Ayar değişince artık otomatik onaylanan kullanıcıların bekleyen istekleri başlatılır
+  function applyScreenShareAutoApprove(room) {
+    store.persist(currentRoomCode);
+    io.to(currentRoomCode).emit('screen-share-auto-approve-updated', room.screenShareAutoApprove);
+    addAuditEntry(currentRoomCode, {
+      action: 'screen-share-auto-approve',
+      actorName: currentUser.userName,
+      moderators: room.screenShareAutoApprove.moderators,
+      userIds: [...room.screenShareAutoApprove.userIds]
+    });
+    
+    getPendingScreenShareRequests(currentRoomCode).forEach(request => {
+      const requester = findUserById(room, request.requesterId);
+      // Sınır doluysa istek kuyrukta kalır
+      if (requester && canAutoApproveScreenShare(room, requester) && room.screenShares.length < MAX_SCREEN_SHARES) {
+        clearScreenShareRequest(requester.userId, 'approved');
+        startScreenShare(currentRoomCode, requester);
+      }
+    });
+  }
+
+  // 🖥️ EKRAN PAYLAŞIMI DURDURMA - Sunucu kendi paylaşımını, moderatör herhangi birini durdurur
+  on('stop-screen-share', (data) => {
     try {
-      const { requesterSocketId } = data;
-      if (!currentRoomCode || !currentUser || !currentUser.isOwner) return;
+      const room = getCurrentRoom();
+      if (!room) return;
       
-      const request = screenShareRequests.get(requesterSocketId);
-      if (request) {
-        io.to(requesterSocketId).emit('screen-share-rejected');
-        screenShareRequests.delete(requesterSocketId);
+      const share = data.shareId ? getScreenShare(room, data.shareId) : getUserScreenShare(room, currentUser.userId);
+      if (!share) {
+        emitError('SCREEN_SHARE_NOT_FOUND');
+        return;
       }
+      
+      if (share.userId !== currentUser.userId && !authorize('moderate')) return;
+      
+      stopScreenShare(currentRoomCode, share.shareId, currentUser.userName);
     } catch (error) {
-      console.error('❌ Screen share rejection error:', error);
+      console.error('❌ Stop screen share error:', error);
     }
   });
 
-  // 🖥️ EKRAN PAYLAŞIMI DURDURMA
-  socket.on('stop-screen-share', () => {
+  // 🖥️ EKRAN PAYLAŞIMI SİNYALİ - Sunucu ile izleyicileri arasında SDP ve ICE aktarımı
+  on('screen-share-signal', (data) => {
     try {
-      if (!currentRoomCode) return;
+      const room = getCurrentRoom();
+      if (!room) return;
       
-      const room = rooms.get(currentRoomCode);
-      if (room && room.screenSharing) {
-        const sharerName = room.screenSharing.userName;
-        room.screenSharing = null;
-        
-        io.to(currentRoomCode).emit('screen-share-stopped', {
-          userName: sharerName
-        });
-      }
+      const { shareId, targetUserId, description, candidate } = data;
+      const share = getScreenShare(room, shareId);
+      const target = findRoomUser(targetUserId);
+      if (!share || !target || (!description && !candidate)) return;
+      
+      // Sinyalin bir ucu mutlaka paylaşımın sunucusudur
+      const isPresenter = share.userId === currentUser.userId;
+      if (!isPresenter && target.userId !== share.userId) return;
+      if (target === currentUser) return;
+      
+      io.to(target.id).emit('screen-share-signal', {
+        shareId,
+        fromUserId: currentUser.userId,
+        description,
+        candidate
+      });
     } catch (error) {
-      console.error('❌ Stop screen share error:', error);
+      console.error('❌ Screen share signal error:', error);
     }
   });
 
   // 🎵 PLAYLIST MÜZİK YÜKLEME
-  socket.on('upload-playlist-music', (data) => {
+  on('upload-playlist-music', async (data) => {
     try {
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('upload-music');
+      if (!room) return;
+      
+      const { musicData, fileName } = data;
+      const roomCode = currentRoomCode;
+      
+      const ownTracks = userPlaylists.get(roomCode)?.get(currentUser.userId) || [];
+      if (ownTracks.length >= MAX_TRACKS_PER_USER) {
+        emitError('TRACK_LIMIT', { max: MAX_TRACKS_PER_USER });
+        return;
+      }
+      
+      // Base64 data URL diske yazılır, playlist'te sadece streaming URL'i tutulur
+      const buffer = Buffer.from(musicData.replace(/^data:[^,]*,/, ''), 'base64');
+      if (buffer.length === 0) {
+        emitError('MUSIC_DECODE_FAILED');
+        return;
+      }
+      
+      const mimeType = sniffMimeType(buffer.subarray(0, 64));
+      const metadata = await extractAudioMetadata(buffer);
+      if (!metadata) {
+        emitError('INVALID_AUDIO');
+        return;
+      }
+      
+      const mediaId = generateMediaId();
+      await fs.promises.mkdir(path.join(MEDIA_DIR, roomCode), { recursive: true });
+      await fs.promises.writeFile(getMediaPath(roomCode, mediaId), buffer);
+      
+      room.media = room.media || {};
+      const cover = metadata.picture && await saveCoverArt(room, metadata.picture);
+      if (cover) {
+        room.media[cover.id] = {
+          id: cover.id,
+          kind: 'cover',
+          fileName: `${cover.id}.${cover.mimeType.split('/')[1]}`,
+          mimeType: cover.mimeType,
+          size: cover.size,
+          trackMediaId: mediaId,
+          uploadedAt: new Date()
+        };
+      }
       
-      const { musicData, fileName, fileSize } = data;
-      const room = rooms.get(currentRoomCode);
+      room.media[mediaId] = {
+        id: mediaId,
+        kind: 'music',
+        fileName: fileName,
+        mimeType: mimeType || 'application/octet-stream',
+        size: buffer.length,
+        checksum: crypto.createHash('sha256').update(buffer).digest('hex'),
+        uploadedBy: currentUser.userName,
+        uploadedAt: new Date()
+      };
       
-      if (!userPlaylists.has(currentRoomCode)) {
-        userPlaylists.set(currentRoomCode, new Map());
+      if (!userPlaylists.has(roomCode)) {
+        userPlaylists.set(roomCode, new Map());
       }
       
-      const roomPlaylist = userPlaylists.get(currentRoomCode);
-      if (!roomPlaylist.has(currentUser.userName)) {
-        roomPlaylist.set(currentUser.userName, []);
+      const roomPlaylist = userPlaylists.get(roomCode);
+      if (!roomPlaylist.has(currentUser.userId)) {
+        roomPlaylist.set(currentUser.userId, []);
       }
       
-      const userMusic = roomPlaylist.get(currentUser.userName);
-      userMusic.push({
+      const userMusic = roomPlaylist.get(currentUser.userId);
+      const track = {
         id: Date.now().toString() + Math.random().toString(36).substr(2, 5),
-        url: musicData,
+        mediaId: mediaId,
+        url: getMediaUrl(roomCode, mediaId),
         fileName: fileName,
-        fileSize: fileSize,
+        fileSize: buffer.length,
+        mimeType: room.media[mediaId].mimeType,
+        title: metadata.title,
+        artist: metadata.artist,
+        album: metadata.album,
+        duration: metadata.duration,
+        coverId: cover ? cover.id : null,
+        coverUrl: cover ? getMediaUrl(roomCode, cover.id) : null,
         uploader: currentUser.userName,
+        uploaderId: currentUser.userId,
         uploadTime: new Date()
-      });
+      };
+      userMusic.push(track);
+      store.persist(roomCode);
       
-      // Tüm kullanıcıların müzik yükleme durumunu hesapla
-      const totalUsers = room.users.size;
-      const usersWithMusic = Array.from(roomPlaylist.keys()).length;
-      const progress = Math.round((usersWithMusic / totalUsers) * 100);
-      
-      io.to(currentRoomCode).emit('playlist-updated', {
-        users: Array.from(roomPlaylist.entries()).map(([userName, music]) => ({
-          userName,
-          music: music
-        })),
-        uploadProgress: progress
+      emitPlaylistUpdate(roomCode, {
+        action: 'added',
+        userId: currentUser.userId,
+        userName: currentUser.userName,
+        track
       });
+      syncMusicOrder(room);
       
     } catch (error) {
       console.error('❌ Upload playlist music error:', error);
     }
   });
 
-  // 🎵 PLAYLIST MÜZİK SİLME İSTEĞİ
-  socket.on('request-delete-music', (data) => {
+  // 🎶 ODA MÜZİK ÇALARI - Oynat, duraklat, atla, geri, konum değiştir, parça seç
+  on('music-control', (data) => {
     try {
-      const { targetUserName } = data;
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('music-playback');
+      if (!room) return;
       
-      const room = rooms.get(currentRoomCode);
-      let targetSocketId = null;
+      const player = room.musicPlayer;
+      const { action } = data;
       
-      room.users.forEach((user, socketId) => {
-        if (user.userName === targetUserName) {
-          targetSocketId = socketId;
-        }
-      });
+      if (action === 'next' || action === 'previous') {
+        const step = action === 'next' ? 1 : -1;
+        playMusicTrack(room, Math.max(0, player.index + step));
+        return;
+      }
       
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('music-delete-request', {
-          requesterName: currentUser.userName
-        });
+      if (action === 'play-track' || (action === 'play' && player.index === -1)) {
+        if (player.order.length === 0) {
+          emitError('MUSIC_PLAYLIST_EMPTY');
+          return;
+        }
+        const index = action === 'play-track' ? player.order.indexOf(data.trackId) : 0;
+        if (index === -1) {
+          emitError('TRACK_NOT_FOUND');
+          return;
+        }
+        playMusicTrack(room, index);
+        return;
       }
+      
+      if (player.index === -1) return;
+      
+      const control = action === 'seek'
+        ? { currentTime: data.currentTime, timestamp: data.timestamp }
+        : { playing: action === 'play', timestamp: data.timestamp };
+      player.playback = applyPlaybackControl(player.playback, control);
+      store.persist(currentRoomCode);
+      emitMusicState(currentRoomCode);
     } catch (error) {
-      console.error('❌ Request delete music error:', error);
+      console.error('❌ Music control error:', error);
     }
   });
 
-  // 🎵 PLAYLIST MÜZİK SİLME ONAYI
-  socket.on('confirm-delete-music', (data) => {
+  on('music-set-mode', (data) => {
     try {
-      const { requesterName } = data;
-      if (!currentRoomCode || !currentUser) return;
+      const room = authorize('music-playback');
+      if (!room) return;
       
-      const roomPlaylist = userPlaylists.get(currentRoomCode);
-      if (roomPlaylist && roomPlaylist.has(currentUser.userName)) {
-        roomPlaylist.set(currentUser.userName, []);
-        
-        // Güncellemeyi yayınla
-        const totalUsers = rooms.get(currentRoomCode).users.size;
-        const usersWithMusic = Array.from(roomPlaylist.keys()).filter(user => 
-          roomPlaylist.get(user).length > 0
-        ).length;
-        const progress = Math.round((usersWithMusic / totalUsers) * 100);
-        
-        io.to(currentRoomCode).emit('playlist-updated', {
-          users: Array.from(roomPlaylist.entries()).map(([userName, music]) => ({
-            userName,
-            music: music
-          })),
-          uploadProgress: progress
+      setMusicPlayMode(room, data.mode);
+    } catch (error) {
+      console.error('❌ Music mode error:', error);
+    }
+  });
+
+  // Parça bittiğinde çalma yetkisi olan ilk bildiren sıradakine geçirir, diğer bildirimler yok sayılır
+  on('music-ended', (data) => {
+    try {
+      const room = authorize('music-playback', { silent: true });
+      if (!room || getCurrentTrackId(room) !== data.trackId) return;
+      
+      playMusicTrack(room, room.musicPlayer.index + 1);
+    } catch (error) {
+      console.error('❌ Music ended error:', error);
+    }
+  });
+
+  // 🎵 PARÇA SİLME - Kendi parçası veya moderatör ise doğrudan silinir
+  on('remove-track', (data) => {
+    try {
+      const room = getCurrentRoom();
+      if (!room) return;
+      
+      const entry = findPlaylistTrack(currentRoomCode, data.trackId);
+      if (!entry) {
+        emitError('TRACK_NOT_FOUND');
+        return;
+      }
+      
+      if (entry.userId !== currentUser.userId && !authorize('moderate')) return;
+      
+      const track = removePlaylistTrack(room, data.trackId);
+      if (entry.userId !== currentUser.userId) {
+        addAuditEntry(currentRoomCode, {
+          action: 'remove-track',
+          actorName: currentUser.userName,
+          targetName: track.uploader,
+          fileName: track.fileName
         });
-        
-        // İstek sahibine onay gönder
-        let requesterSocketId = null;
-        rooms.get(currentRoomCode).users.forEach((user, socketId) => {
-          if (user.userName === requesterName) {
-            requesterSocketId = socketId;
-          }
+      }
+      
+      // Silme bir isteğe yanıtsa istek sahibine bildir
+      const requester = data.requesterId && findUserById(room, data.requesterId);
+      if (requester && requester !== currentUser) {
+        io.to(requester.id).emit('track-removal-approved', {
+          trackId: track.id,
+          fileName: track.fileName,
+          userId: currentUser.userId,
+          userName: currentUser.userName
         });
-        
-        if (requesterSocketId) {
-          io.to(requesterSocketId).emit('music-deleted', {
-            targetUserName: currentUser.userName
-          });
-        }
       }
     } catch (error) {
-      console.error('❌ Confirm delete music error:', error);
+      console.error('❌ Remove track error:', error);
     }
   });
 
-  // 📞 WEBRTC ARAMALAR
-  socket.on('start-call', (data) => {
+  // 🎵 PARÇA SİLME İSTEĞİ - Başkasının parçası için sahibinden onay istenir
+  on('request-track-removal', (data) => {
     try {
-      const { targetUserName, offer, type, callerName } = data;
+      const room = getCurrentRoom();
+      if (!room) return;
       
-      let targetSocketId = null;
-      users.forEach((user, socketId) => {
-        if (user.userName === targetUserName && user.roomCode === currentRoomCode) {
-          targetSocketId = socketId;
-        }
-      });
+      const entry = findPlaylistTrack(currentRoomCode, data.trackId);
+      if (!entry) {
+        emitError('TRACK_NOT_FOUND');
+        return;
+      }
       
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('ice-servers', { servers: getIceServers() });
-        
-        const callData = {
-          callerSocketId: socket.id,
-          callerName: callerName,
-          targetSocketId: targetSocketId,
-          targetUserName: targetUserName,
-          type: type,
-          roomCode: currentRoomCode,
-          startTime: new Date(),
-          status: 'ringing'
-        };
-        
-        activeCalls.set(socket.id, callData);
-        activeCalls.set(targetSocketId, callData);
-        
-        io.to(targetSocketId).emit('incoming-call', { 
-          offer, 
-          callerName, 
-          type,
-          callerSocketId: socket.id 
+      const target = findUserById(room, entry.userId);
+      if (target && target !== currentUser) {
+        io.to(target.id).emit('track-removal-request', {
+          trackId: entry.track.id,
+          fileName: entry.track.fileName,
+          requesterName: currentUser.userName,
+          requesterId: currentUser.userId
         });
-      } else {
-        socket.emit('call-error', { message: 'Kullanıcı bulunamadı veya çevrimdışı' });
       }
     } catch (error) {
-      console.error('❌ Start call error:', error);
-      socket.emit('call-error', { message: 'Arama başlatılamadı' });
+      console.error('❌ Request track removal error:', error);
     }
   });
 
-  socket.on('webrtc-answer', (data) => {
+  // 🎵 PARÇA SIRALAMA - Kullanıcı kendi listesindeki sırayı değiştirir
+  on('move-track', (data) => {
     try {
-      const { targetUserName, answer } = data;
+      if (!getCurrentRoom()) return;
       
-      let targetSocketId = null;
-      users.forEach((user, socketId) => {
-        if (user.userName === targetUserName && user.roomCode === currentRoomCode) {
-          targetSocketId = socketId;
-        }
+      const entry = findPlaylistTrack(currentRoomCode, data.trackId);
+      if (!entry || entry.userId !== currentUser.userId) {
+        emitError('TRACK_NOT_FOUND');
+        return;
+      }
+      
+      const toIndex = Math.min(data.toIndex, entry.music.length - 1);
+      entry.music.splice(entry.index, 1);
+      entry.music.splice(toIndex, 0, entry.track);
+      store.persist(currentRoomCode);
+      
+      emitPlaylistUpdate(currentRoomCode, {
+        action: 'moved',
+        userId: currentUser.userId,
+        trackId: entry.track.id,
+        toIndex
       });
+      syncMusicOrder(rooms.get(currentRoomCode));
+    } catch (error) {
+      console.error('❌ Move track error:', error);
+    }
+  });
+
+  // 🎵 PARÇA ADI DEĞİŞTİRME
+  on('rename-track', (data) => {
+    try {
+      if (!getCurrentRoom()) return;
       
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('webrtc-answer', {
-          answer,
-          answererName: currentUser?.userName
-        });
+      const entry = findPlaylistTrack(currentRoomCode, data.trackId);
+      if (!entry || entry.userId !== currentUser.userId) {
+        emitError('TRACK_NOT_FOUND');
+        return;
       }
+      
+      entry.track.fileName = data.fileName;
+      store.persist(currentRoomCode);
+      
+      emitPlaylistUpdate(currentRoomCode, {
+        action: 'renamed',
+        userId: currentUser.userId,
+        trackId: entry.track.id,
+        fileName: data.fileName
+      });
+      emitMusicState(currentRoomCode);
     } catch (error) {
-      console.error('❌ WebRTC answer error:', error);
+      console.error('❌ Rename track error:', error);
     }
   });
 
-  socket.on('webrtc-ice-candidate', (data) => {
+  // 📞 GRUP ARAMASI - Odada tek arama oturumu, sinyaller katılımcı çiftleri arasında iletilir
+  function findRoomUser(userId) {
+    const room = getCurrentRoom();
+    const user = room && userId && findUserById(room, userId);
+    return user && isUserPresent(room, user.id) ? user : null;
+  }
+
+  // Yeni katılan, mevcut her katılımcıya kendisi offer gönderir; diğerleri sadece cevaplar
+  function joinCall(options) {
+    const participant = addCallParticipant(currentRoomCode, currentUser, options);
+    if (!participant) {
+      socket.emit('call-error', createError('CALL_FULL', { maxParticipants: MAX_CALL_PARTICIPANTS }));
+      return null;
+    }
+    
+    sendIceServers();
+    socket.emit('call-joined', getCallSnapshot(currentRoomCode));
+    socket.to(currentRoomCode).emit('call-participant-joined', {
+      callId: callSessions.get(currentRoomCode).id,
+      participant
+    });
+    updateUserList(currentRoomCode);
+    return participant;
+  }
+
+  on('join-call', (data) => {
     try {
-      const { targetUserName, candidate } = data;
+      if (!authorize('call')) return;
+      if (getCallParticipant(currentRoomCode, currentUser.userId)) {
+        socket.emit('call-joined', getCallSnapshot(currentRoomCode));
+        return;
+      }
       
-      let targetSocketId = null;
-      users.forEach((user, socketId) => {
-        if (user.userName === targetUserName && user.roomCode === currentRoomCode) {
-          targetSocketId = socketId;
-        }
-      });
+      joinCall(data);
+    } catch (error) {
+      console.error('❌ Join call error:', error);
+      socket.emit('call-error', createError('CALL_FAILED'));
+    }
+  });
+
+  on('leave-call', () => {
+    try {
+      if (!getCurrentRoom()) return;
       
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('webrtc-ice-candidate', {
-          candidate,
-          senderSocketId: socket.id
-        });
+      if (removeCallParticipant(currentRoomCode, currentUser.userId, 'left')) {
+        updateUserList(currentRoomCode);
       }
     } catch (error) {
-      console.error('❌ WebRTC ICE candidate error:', error);
+      console.error('❌ Leave call error:', error);
     }
   });
 
-  socket.on('reject-call', (data) => {
+  // Belirli bir kullanıcıyı aramaya davet eder; davet eden aramada değilse önce katılır
+  on('start-call', (data) => {
     try {
-      const { callerSocketId } = data;
-      const callData = activeCalls.get(socket.id);
+      if (!authorize('call')) return;
       
-      if (callData) {
-        io.to(callerSocketId).emit('call-rejected', { 
-          rejectedBy: currentUser?.userName 
-        });
-        
-        activeCalls.delete(callData.callerSocketId);
-        activeCalls.delete(callData.targetSocketId);
-        updateUserList(currentRoomCode);
+      const target = findRoomUser(data.targetUserId);
+      if (!target || target === currentUser) {
+        socket.emit('call-error', createError('CALL_TARGET_NOT_FOUND'));
+        return;
       }
+      
+      if (!getCallParticipant(currentRoomCode, currentUser.userId) && !joinCall({ type: data.type })) return;
+      
+      const session = callSessions.get(currentRoomCode);
+      io.to(target.id).emit('incoming-call', {
+        callId: session.id,
+        callerName: currentUser.userName,
+        callerId: currentUser.userId,
+        type: session.type
+      });
+    } catch (error) {
+      console.error('❌ Start call error:', error);
+      socket.emit('call-error', createError('CALL_FAILED'));
+    }
+  });
+
+  on('reject-call', (data) => {
+    try {
+      const room = getCurrentRoom();
+      if (!room) return;
+      
+      const caller = findRoomUser(data.callerId);
+      if (!caller || !getCallParticipant(room.code, caller.userId)) return;
+      
+      io.to(caller.id).emit('call-rejected', {
+        rejectedBy: currentUser.userName,
+        userId: currentUser.userId
+      });
     } catch (error) {
       console.error('❌ Reject call error:', error);
     }
   });
 
-  socket.on('end-call', (data) => {
+  // SDP ve ICE adayları sadece aynı aramadaki iki katılımcı arasında iletilir
+  on('call-signal', (data) => {
     try {
-      const { targetSocketId } = data;
-      const callData = activeCalls.get(socket.id);
+      if (!getCurrentRoom()) return;
       
-      if (callData) {
-        const otherPartyId = callData.callerSocketId === socket.id ? callData.targetSocketId : callData.callerSocketId;
-        
-        if (otherPartyId) {
-          io.to(otherPartyId).emit('call-ended', { 
-            endedBy: currentUser?.userName 
-          });
-        }
-        
-        activeCalls.delete(callData.callerSocketId);
-        activeCalls.delete(callData.targetSocketId);
-        updateUserList(currentRoomCode);
-      } else if (targetSocketId) {
-        io.to(targetSocketId).emit('call-ended', { 
-          endedBy: currentUser?.userName 
-        });
-        
-        activeCalls.delete(socket.id);
-        activeCalls.delete(targetSocketId);
-        updateUserList(currentRoomCode);
+      const { targetUserId, description, candidate } = data;
+      if (!description && !candidate) {
+        emitError('INVALID_PAYLOAD', { event: 'call-signal', fields: [{ field: 'description', code: 'REQUIRED' }] });
+        return;
+      }
+      
+      const session = callSessions.get(currentRoomCode);
+      const target = findRoomUser(targetUserId);
+      if (!session || !session.participants.has(currentUser.userId) || !target || !session.participants.has(target.userId)) {
+        socket.emit('call-error', createError('NOT_IN_CALL'));
+        return;
       }
+      
+      io.to(target.id).emit('call-signal', {
+        callId: session.id,
+        fromUserId: currentUser.userId,
+        description,
+        candidate
+      });
+    } catch (error) {
+      console.error('❌ Call signal error:', error);
+    }
+  });
+
+  // 🎙️ MİKROFON / KAMERA DURUMU
+  on('call-media-state', (data) => {
+    try {
+      if (!getCurrentRoom()) return;
+      
+      const participant = getCallParticipant(currentRoomCode, currentUser.userId);
+      if (!participant) return;
+      
+      if (data.audioMuted !== undefined) participant.audioMuted = data.audioMuted;
+      if (data.videoMuted !== undefined) participant.videoMuted = data.videoMuted;
+      
+      io.to(currentRoomCode).emit('call-media-updated', {
+        callId: callSessions.get(currentRoomCode).id,
+        userId: participant.userId,
+        audioMuted: participant.audioMuted,
+        videoMuted: participant.videoMuted
+      });
+      updateUserList(currentRoomCode);
     } catch (error) {
-      console.error('❌ End call error:', error);
+      console.error('❌ Call media state error:', error);
     }
   });
 
+  // 🟢 DURUM BİLDİRİMİ - İstemci aktif, boşta veya uzakta olduğunu bildirir
+  on('presence-update', (data) => {
+    if (!getCurrentRoom() || currentUser.presence === data.state) return;
+    
+    currentUser.presence = data.state;
+    updateUserList(currentRoomCode);
+  });
+
   // 🔌 BAĞLANTI KESİLDİĞİNDE
   socket.on('disconnect', (reason) => {
     console.log('🔌 User disconnected:', socket.id, reason);
     
     clearInterval(pingInterval);
+    clearTimeout(iceRefreshTimer);
     connectionMonitor.delete(socket.id);
     
-    const callData = activeCalls.get(socket.id);
-    if (callData) {
-      const otherPartyId = callData.callerSocketId === socket.id ? callData.targetSocketId : callData.callerSocketId;
-      
-      if (otherPartyId) {
-        io.to(otherPartyId).emit('call-ended', { 
-          endedBy: 'Sistem (bağlantı kesildi)',
-          reason: 'connection_lost'
-        });
-        activeCalls.delete(otherPartyId);
-      }
-      activeCalls.delete(socket.id);
-    }
+    // Kullanıcı başka bir sokete devredildiyse yapılacak bir şey yok
+    if (!currentUser || !currentRoomCode || currentUser.id !== socket.id) return;
     
-    // Ekran paylaşımını durdur
-    if (currentRoomCode) {
-      const room = rooms.get(currentRoomCode);
-      if (room && room.screenSharing && room.screenSharing.socketId === socket.id) {
-        room.screenSharing = null;
-        io.to(currentRoomCode).emit('screen-share-stopped', {
-          userName: currentUser?.userName
-        });
-      }
+    // İstemci kendisi ayrıldıysa veya sunucu çıkardıysa hemen temizle
+    if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
+      removeUserFromRoom(currentRoomCode, socket.id);
+      return;
     }
     
-    if (currentUser && currentRoomCode) {
-      const room = rooms.get(currentRoomCode);
-      if (room) {
-        room.users.delete(socket.id);
-        users.delete(socket.id);
-        
-        socket.to(currentRoomCode).emit('user-left', { userName: currentUser.userName });
-        updateUserList(currentRoomCode);
-        pendingOffers.delete(socket.id);
-        screenShareRequests.delete(socket.id);
-        
-        if (room.users.size === 0) {
-          setTimeout(() => {
-            if (rooms.get(currentRoomCode)?.users.size === 0) {
-              rooms.delete(currentRoomCode);
-              messages.delete(currentRoomCode);
-              userPlaylists.delete(currentRoomCode);
-            }
-          }, 600000);
-        }
-      }
+    // Ağ kopması: oturum bekleme süresince kullanıcı, çağrı ve paylaşım durumu korunur
+    const user = currentUser;
+    const roomCode = currentRoomCode;
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    
+    user.connected = false;
+    user.disconnectedAt = Date.now();
+    updateUserList(roomCode);
+    
+    sessionGraceTimers.set(user.sessionId, setTimeout(() => {
+      sessionGraceTimers.delete(user.sessionId);
+      removeUserFromRoom(roomCode, user.id);
+    }, SESSION_GRACE_PERIOD));
+    
+    if (room.owner === socket.id) {
+      scheduleOwnerMigration(roomCode);
     }
   });
 });
@@ -972,15 +4911,47 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// ✅ KAPANIRKEN BEKLEYEN YAZMALARI DİSKE AKTAR
+async function shutdown(signal) {
+  console.log(`🛑 ${signal} alındı, veriler kaydediliyor...`);
+  try {
+    await store.flush();
+  } catch (error) {
+    console.error('❌ Store flush error:', error);
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ✅ BAŞLAT
-startConnectionHealthCheck();
-startRenderSelfPing();
-
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 SERVER RUNNING ON PORT ${PORT}`);
-  console.log(`❤️ RENDER OPTIMIZED - TÜM ÖZELLİKLER AKTİF`);
-  console.log(`🖥️ EKRAN PAYLAŞIMI SİSTEMİ HAZIR`);
-  console.log(`🎵 PLAYLIST SİSTEMİ HAZIR`);
-  console.log(`💬 GELİŞMİŞ MESAJ SİSTEMİ HAZIR`);
-  console.log(`🔄 SELF-PING ACTIVE: ${selfPingUrl || 'localhost'}`);
+store.load().then(async () => {
+  // Yeniden başlatmada yarım kalan yüklemeler devam ettirilemez
+  await fs.promises.rm(PARTIAL_UPLOAD_DIR, { recursive: true, force: true });
+  await fs.promises.mkdir(PARTIAL_UPLOAD_DIR, { recursive: true });
+
+  store.startSweeper((roomCode) => {
+    cancelOwnerMigration(roomCode);
+    notifyLobby(roomCode);
+    fs.promises.rm(path.join(MEDIA_DIR, roomCode), { recursive: true, force: true }).catch(() => {});
+    console.log(`🧹 Boş oda silindi: ${roomCode}`);
+  });
+  startConnectionHealthCheck();
+  startUploadCleanup();
+  startPlaybackSync();
+  startRenderSelfPing();
+
+  server.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 SERVER RUNNING ON PORT ${PORT}`);
+    console.log(`❤️ RENDER OPTIMIZED - TÜM ÖZELLİKLER AKTİF`);
+    console.log(`🖥️ EKRAN PAYLAŞIMI SİSTEMİ HAZIR`);
+    console.log(`🎵 PLAYLIST SİSTEMİ HAZIR`);
+    console.log(`💬 GELİŞMİŞ MESAJ SİSTEMİ HAZIR`);
+    console.log(`💾 STORE: ${STORE_DRIVER} (boş oda TTL: ${EMPTY_ROOM_TTL / 1000}s)`);
+    console.log(`🔄 SELF-PING ACTIVE: ${selfPingUrl || 'localhost'}`);
+  });
+}).catch((error) => {
+  console.error('❌ Store load error:', error);
+  process.exit(1);
 });